@@ -171,8 +171,8 @@ const main = async () => {
     const connection = provider.connection;
 
     // Get or create keypairs
-    const testAccount = getOrCreateKeypair(KEYS_FOLDER, 'test-account');
-    const mint = getOrCreateKeypair(KEYS_FOLDER, 'mint');
+    const testAccount = await getOrCreateKeypair(KEYS_FOLDER, 'test-account');
+    const mint = await getOrCreateKeypair(KEYS_FOLDER, 'mint');
 
     // Print initial SOL balance
     await printSOLBalance(connection, testAccount.publicKey, 'Test Account keypair');
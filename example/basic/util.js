@@ -1,30 +1,33 @@
 import fs from 'fs';
 import path from 'path';
 import { Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Keystore } from '../../src/keystore.js';
 
 /**
- * Get or create a keypair from a file
+ * Get or create a keypair stored encrypted in the keystore at keysFolder.
+ * Uses KEYSTORE_PASSPHRASE; a plaintext `${name}.json` left by older
+ * versions of this example is imported into the keystore on first use.
  */
-export function getOrCreateKeypair(keysFolder, name) {
-  const keypairFile = path.resolve(keysFolder, `${name}.json`);
+export async function getOrCreateKeypair(keysFolder, name) {
+  const keystore = new Keystore({ dir: keysFolder });
   
-  if (!fs.existsSync(keysFolder)) {
-    fs.mkdirSync(keysFolder, { recursive: true });
-    console.log(`Created keys folder: ${keysFolder}`);
+  if (await keystore.has(name)) {
+    return keystore.getKeypair(name);
   }
   
-  if (fs.existsSync(keypairFile)) {
-    const keypairString = fs.readFileSync(keypairFile, 'utf-8');
-    const keypairData = JSON.parse(keypairString);
-    return Keypair.fromSecretKey(new Uint8Array(keypairData));
+  const legacyFile = path.resolve(keysFolder, `${name}.json`);
+  if (fs.existsSync(legacyFile)) {
+    const keypairData = JSON.parse(fs.readFileSync(legacyFile, 'utf-8'));
+    const keypair = Keypair.fromSecretKey(new Uint8Array(keypairData));
+    await keystore.importKeypair(name, keypair);
+    console.log(`Imported plaintext keypair ${name} into keystore, ${legacyFile} can now be deleted`);
+    return keypair;
   }
   
-  const keypair = Keypair.generate();
-  const keypairData = Array.from(keypair.secretKey);
-  fs.writeFileSync(keypairFile, JSON.stringify(keypairData));
-  console.log(`Created and saved keypair: ${name} (${keypair.publicKey.toBase58()})`);
+  const { publicKey } = await keystore.createWallet(name);
+  console.log(`Created and saved keypair: ${name} (${publicKey})`);
   
-  return keypair;
+  return keystore.getKeypair(name);
 }
 
 /**
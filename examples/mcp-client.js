@@ -3,8 +3,8 @@
  * Shows how an AI model like Claude could interact with Solana blockchain
  */
 
-const WebSocket = require('ws');
-const axios = require('axios');
+import WebSocket from 'ws';
+import axios from 'axios';
 
 // MCP Server configuration
 const MCP_SERVER_URL = 'http://localhost:3000';
@@ -0,0 +1,234 @@
+/**
+ * Human approval queue for high-value operations
+ * Tools park requests above a configured threshold here instead of executing
+ * them. An operator approves or rejects each one; approved operations are then
+ * executed by the executor registered for their tool. The queue is persisted
+ * to disk and every state change is appended to an audit log (JSON lines).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+
+class ApprovalQueue {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - Path of the persisted queue
+   * @param {string} [options.auditFile] - Path of the append-only audit log
+   * @param {number} [options.ttlMinutes] - Minutes before a pending request expires
+   * @param {Object} [options.thresholds] - Per-tool thresholds (null disables approval), or per-key thresholds with '*' for other keys
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(options.file || config.approvals.file);
+    this.auditFile = path.resolve(options.auditFile || config.approvals.auditFile);
+    this.ttlMs = (options.ttlMinutes || config.approvals.ttlMinutes) * 60 * 1000;
+    this.thresholds = options.thresholds || config.approvals.thresholds;
+    this.executors = {};
+    this.operations = null;
+  }
+
+  /**
+   * Register the function that runs an approved operation for a tool
+   */
+  registerExecutor(tool, executor) {
+    this.executors[tool] = executor;
+  }
+
+  /**
+   * Whether a request of the given size must wait for an operator
+   * @param {string} tool - Tool name
+   * @param {number} value - Request size (SOL, or token UI amount for the token tools)
+   * @param {string} [key] - What the value is measured in when thresholds are per key, e.g. the mint
+   */
+  requiresApproval(tool, value, key) {
+    let threshold = this.thresholds[tool];
+    if (threshold != null && typeof threshold === 'object') {
+      threshold = threshold[key] ?? threshold['*'];
+    }
+    return threshold != null && value > threshold;
+  }
+
+  /**
+   * Load the queue from disk once
+   */
+  async load() {
+    if (this.operations) return this.operations;
+
+    try {
+      this.operations = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read approval queue ${this.file}: ${error.message}`);
+      }
+      this.operations = {};
+    }
+
+    return this.operations;
+  }
+
+  /**
+   * Persist the queue to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(this.operations, null, 2));
+  }
+
+  /**
+   * Append an event to the audit log
+   */
+  async audit(event, operation, extra = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      event,
+      id: operation.id,
+      tool: operation.tool,
+      status: operation.status,
+      ...extra
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.auditFile), { recursive: true });
+      await fs.appendFile(this.auditFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error(`Could not write approval audit log ${this.auditFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark pending operations past their expiry as expired
+   */
+  async expireStale() {
+    const operations = await this.load();
+    const now = Date.now();
+    let changed = false;
+
+    for (const operation of Object.values(operations)) {
+      if (operation.status === 'pending' && Date.parse(operation.expiresAt) <= now) {
+        operation.status = 'expired';
+        operation.decidedAt = new Date(now).toISOString();
+        changed = true;
+        await this.audit('expired', operation);
+      }
+    }
+
+    if (changed) await this.save();
+    return operations;
+  }
+
+  /**
+   * Park a request until an operator decides on it
+   * @param {Object} request
+   * @param {string} request.tool - Tool that will execute the operation
+   * @param {Object} request.params - Tool arguments (must not contain secrets)
+   * @param {string} request.summary - Human-readable description for the operator
+   * @returns {Promise<Object>} The pending operation
+   */
+  async enqueue({ tool, params, summary }) {
+    const operations = await this.load();
+    const now = Date.now();
+
+    const operation = {
+      id: crypto.randomUUID(),
+      tool,
+      params,
+      summary,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      note: null,
+      result: null,
+      error: null
+    };
+
+    operations[operation.id] = operation;
+    await this.save();
+    await this.audit('created', operation, { summary, params });
+
+    return operation;
+  }
+
+  /**
+   * Get an operation by id
+   */
+  async get(id) {
+    const operations = await this.expireStale();
+    return operations[id] || null;
+  }
+
+  /**
+   * List operations, optionally filtered by status, newest first
+   */
+  async list(status) {
+    const operations = await this.expireStale();
+    return Object.values(operations)
+      .filter(operation => !status || operation.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Move a pending operation to a decided state.
+   * The check and the update happen without an await in between so two
+   * concurrent decisions cannot both claim the same operation.
+   */
+  async decide(id, status, { operator, note }) {
+    const operations = await this.expireStale();
+    const operation = operations[id];
+
+    if (!operation) {
+      throw new Error(`Pending operation ${id} not found`);
+    }
+    if (operation.status !== 'pending') {
+      throw new Error(`Operation ${id} is ${operation.status}, not pending`);
+    }
+
+    operation.status = status;
+    operation.decidedAt = new Date().toISOString();
+    operation.decidedBy = operator || 'unknown';
+    operation.note = note || null;
+    await this.save();
+    await this.audit(status, operation, { operator: operation.decidedBy, note: operation.note });
+
+    return operation;
+  }
+
+  /**
+   * Approve a pending operation and execute it
+   */
+  async approve(id, { operator, note } = {}) {
+    const pending = await this.get(id);
+    if (pending && !this.executors[pending.tool]) {
+      throw new Error(`No executor registered for ${pending.tool}`);
+    }
+
+    const operation = await this.decide(id, 'approved', { operator, note });
+
+    try {
+      operation.result = await this.executors[operation.tool](operation.params);
+      operation.status = 'executed';
+      await this.audit('executed', operation, { result: operation.result });
+    } catch (error) {
+      operation.status = 'failed';
+      operation.error = typeof error.toJSON === 'function' ? error.toJSON() : error.message;
+      await this.audit('failed', operation, { error: operation.error });
+    }
+
+    await this.save();
+    return operation;
+  }
+
+  /**
+   * Reject a pending operation
+   */
+  async reject(id, { operator, reason } = {}) {
+    return this.decide(id, 'rejected', { operator, note: reason });
+  }
+}
+
+// Shared approval queue configured from the environment
+export const approvalQueue = new ApprovalQueue();
+
+export { ApprovalQueue };
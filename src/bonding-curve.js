@@ -0,0 +1,175 @@
+/**
+ * Pump.fun bonding curve state
+ * Reads a token's bonding curve account with the pumpdotfun-sdk layouts and
+ * prices trades against it with the same constant-product math the program
+ * uses, so agents can see where a token sits before trading it.
+ */
+
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { BondingCurveAccount, GlobalAccount, BONDING_CURVE_SEED, GLOBAL_ACCOUNT_SEED, DEFAULT_DECIMALS } from 'pumpdotfun-sdk';
+import { toBaseUnits, fromBaseUnits } from './token-utils.js';
+
+const PUMP_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const SOL_DECIMALS = 9;
+
+/**
+ * Bonding curve PDA of a mint
+ */
+function getBondingCurveAddress(mint) {
+  return PublicKey.findProgramAddressSync([Buffer.from(BONDING_CURVE_SEED), mint.toBuffer()], PUMP_PROGRAM_ID)[0];
+}
+
+/**
+ * Load the bonding curve of a mint and the program's global config
+ * @param {Connection} connection - Solana connection
+ * @param {string} mintAddress - Token mint address
+ * @returns {Promise<Object>} { address, curve, global }
+ */
+async function loadBondingCurve(connection, mintAddress) {
+  const address = getBondingCurveAddress(new PublicKey(mintAddress));
+  const globalAddress = PublicKey.findProgramAddressSync([Buffer.from(GLOBAL_ACCOUNT_SEED)], PUMP_PROGRAM_ID)[0];
+  const [curveAccount, globalAccount] = await connection.getMultipleAccountsInfo([address, globalAddress]);
+
+  if (!curveAccount || !curveAccount.owner.equals(PUMP_PROGRAM_ID)) {
+    throw new Error(`No pump.fun bonding curve found for mint ${mintAddress}`);
+  }
+  if (!globalAccount) {
+    throw new Error('pump.fun global account not found on this network');
+  }
+
+  return {
+    address,
+    curve: BondingCurveAccount.fromBuffer(curveAccount.data),
+    global: GlobalAccount.fromBuffer(globalAccount.data)
+  };
+}
+
+/**
+ * Spot price in SOL per whole token
+ */
+function spotPrice(virtualSolReserves, virtualTokenReserves) {
+  if (virtualTokenReserves === 0n) return 0;
+  return (Number(virtualSolReserves) / LAMPORTS_PER_SOL) / (Number(virtualTokenReserves) / 10 ** DEFAULT_DECIMALS);
+}
+
+/**
+ * Bonding curve state of a pump.fun token
+ * @param {Connection} connection - Solana connection
+ * @param {string} mintAddress - Token mint address
+ * @returns {Promise<Object>} Reserves, price, market cap and completion
+ */
+async function fetchBondingCurveInfo(connection, mintAddress) {
+  const { address, curve, global } = await loadBondingCurve(connection, mintAddress);
+
+  // Share of the sellable supply already bought off the curve
+  const initial = global.initialRealTokenReserves;
+  const sold = initial > curve.realTokenReserves ? initial - curve.realTokenReserves : 0n;
+  const completionPercent = curve.complete || initial === 0n
+    ? 100
+    : Number((sold * 10000n) / initial) / 100;
+
+  return {
+    mint: mintAddress,
+    bondingCurve: address.toString(),
+    virtualTokenReserves: fromBaseUnits(curve.virtualTokenReserves, DEFAULT_DECIMALS),
+    virtualSolReserves: fromBaseUnits(curve.virtualSolReserves, SOL_DECIMALS),
+    realTokenReserves: fromBaseUnits(curve.realTokenReserves, DEFAULT_DECIMALS),
+    realSolReserves: fromBaseUnits(curve.realSolReserves, SOL_DECIMALS),
+    tokenTotalSupply: fromBaseUnits(curve.tokenTotalSupply, DEFAULT_DECIMALS),
+    // A graduated token trades on the pump.fun AMM; its curve no longer sets the price
+    priceSol: curve.complete ? null : spotPrice(curve.virtualSolReserves, curve.virtualTokenReserves),
+    marketCapSol: curve.complete ? null : Number(curve.getMarketCapSOL()) / LAMPORTS_PER_SOL,
+    completionPercent,
+    graduated: curve.complete,
+    feeBasisPoints: Number(global.feeBasisPoints)
+  };
+}
+
+/**
+ * Quote a trade against a token's bonding curve
+ * @param {Connection} connection - Solana connection
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} trade
+ * @param {string} trade.side - 'buy' or 'sell'
+ * @param {number} trade.amount - SOL or token amount
+ * @param {boolean} [trade.denominatedInSol] - Whether amount is in SOL; defaults to true for buys and false for sells
+ * @returns {Promise<Object>} Input, expected output, fee and price impact
+ */
+async function quoteBondingCurveTrade(connection, mintAddress, trade) {
+  const { curve, global } = await loadBondingCurve(connection, mintAddress);
+  if (curve.complete) {
+    throw new Error(`Token ${mintAddress} has graduated from its bonding curve; it now trades on the pump.fun AMM`);
+  }
+
+  const { side, amount } = trade;
+  const denominatedInSol = trade.denominatedInSol ?? side === 'buy';
+  const feeBps = global.feeBasisPoints;
+  const { virtualSolReserves: vSol, virtualTokenReserves: vToken } = curve;
+
+  // SOL moved along the curve (before fees), tokens moved, and the fee
+  let curveLamports;
+  let tokens;
+  let feeLamports;
+
+  if (side === 'buy' && denominatedInSol) {
+    // The fee is charged on top of the curve cost, so take it out of the SOL sent
+    const lamportsIn = toBaseUnits(amount, SOL_DECIMALS);
+    curveLamports = (lamportsIn * 10000n) / (10000n + feeBps);
+    feeLamports = lamportsIn - curveLamports;
+    tokens = curve.getBuyPrice(curveLamports);
+    // Buying out the curve: only the remaining tokens are paid for
+    if (tokens === curve.realTokenReserves) {
+      curveLamports = (vSol * tokens) / (vToken - tokens) + 1n;
+      feeLamports = (curveLamports * feeBps) / 10000n;
+    }
+  } else if (side === 'buy') {
+    tokens = toBaseUnits(amount, DEFAULT_DECIMALS);
+    if (tokens >= curve.realTokenReserves) {
+      throw new Error(`Only ${fromBaseUnits(curve.realTokenReserves, DEFAULT_DECIMALS)} tokens are left on the curve`);
+    }
+    curveLamports = (vSol * tokens) / (vToken - tokens) + 1n;
+    feeLamports = (curveLamports * feeBps) / 10000n;
+  } else if (denominatedInSol) {
+    // Gross SOL the curve has to pay out for the requested amount after fees
+    const lamportsOut = toBaseUnits(amount, SOL_DECIMALS);
+    curveLamports = (lamportsOut * 10000n) / (10000n - feeBps);
+    if (curveLamports >= curve.realSolReserves) {
+      throw new Error(`Only ${fromBaseUnits(curve.realSolReserves, SOL_DECIMALS)} SOL is left on the curve`);
+    }
+    tokens = (vToken * curveLamports) / (vSol - curveLamports) + 1n;
+    feeLamports = curveLamports - lamportsOut;
+  } else {
+    tokens = toBaseUnits(amount, DEFAULT_DECIMALS);
+    curveLamports = (tokens * vSol) / (vToken + tokens);
+    feeLamports = (curveLamports * feeBps) / 10000n;
+  }
+
+  if (tokens <= 0n || curveLamports <= 0n) {
+    throw new Error('Trade size is too small to quote');
+  }
+
+  const solAmount = side === 'buy' ? curveLamports + feeLamports : curveLamports - feeLamports;
+  const sol = { amount: fromBaseUnits(solAmount, SOL_DECIMALS), unit: 'SOL' };
+  const token = { amount: fromBaseUnits(tokens, DEFAULT_DECIMALS), unit: 'token' };
+
+  const priceBefore = spotPrice(vSol, vToken);
+  const averagePrice = spotPrice(curveLamports, tokens);
+  const priceAfter = side === 'buy'
+    ? spotPrice(vSol + curveLamports, vToken - tokens)
+    : spotPrice(vSol - curveLamports, vToken + tokens);
+
+  return {
+    mint: mintAddress,
+    side,
+    input: side === 'buy' ? sol : token,
+    expectedOutput: side === 'buy' ? token : sol,
+    fee: fromBaseUnits(feeLamports, SOL_DECIMALS),
+    priceBefore,
+    averagePrice,
+    priceAfter,
+    // How far the average fill is from the spot price, fees excluded
+    priceImpactPercent: Number((Math.abs(averagePrice / priceBefore - 1) * 100).toFixed(4))
+  };
+}
+
+export { fetchBondingCurveInfo, quoteBondingCurveTrade, getBondingCurveAddress, PUMP_PROGRAM_ID };
@@ -0,0 +1,103 @@
+/**
+ * Solana cluster names
+ * Tools and SOLANA_NETWORK accept a cluster name or a configured RPC URL;
+ * this module normalizes both to the key SolanaAPI keeps a connection under.
+ * Only URLs the operator configured are accepted, so callers cannot point
+ * the server at arbitrary hosts, and the set of connections stays bounded.
+ */
+
+import { config } from './config.js';
+import { redactEndpoint } from './rpc-pool.js';
+
+const CLUSTERS = ['mainnet-beta', 'devnet', 'testnet', 'localnet'];
+
+// Spellings people actually use for the named clusters
+const ALIASES = {
+  mainnet: 'mainnet-beta',
+  localhost: 'localnet'
+};
+
+// Genesis hashes of the public clusters, which identify the chain behind any endpoint
+const GENESIS_HASHES = {
+  'mainnet-beta': '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d',
+  devnet: 'EtWTRABZaYq6iMfeYKouRu166VU2xqa1wcaWoxPkrZBG',
+  testnet: '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY'
+};
+
+/**
+ * Whether a value is an http(s) URL
+ */
+function isRpcUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize a cluster name or RPC URL
+ * @param {string} network - 'mainnet-beta', 'devnet', 'testnet', 'localnet' (or an alias), or a configured RPC URL
+ * @returns {string} Cluster name, or the URL for a custom endpoint
+ */
+function resolveNetwork(network) {
+  const name = ALIASES[network] || network;
+  if (CLUSTERS.includes(name)) {
+    return name;
+  }
+
+  if (isRpcUrl(name)) {
+    const url = new URL(name).href;
+    // An endpoint of a named cluster is that cluster
+    const cluster = CLUSTERS.find(cluster => config.solana.endpoints[cluster].some(endpoint => new URL(endpoint).href === url));
+    if (cluster) {
+      return cluster;
+    }
+    if (customRpcUrls().includes(url)) {
+      return url;
+    }
+    throw new Error(`RPC URL ${redactEndpoint(name)} is not configured: add it to SOLANA_RPC_URLS`);
+  }
+  throw new Error(`Unknown network "${network}": expected ${CLUSTERS.join(', ')} or a configured RPC URL`);
+}
+
+/**
+ * Custom RPC URLs callers may select: SOLANA_RPC_URLS, and SOLANA_NETWORK when it is a URL
+ */
+function customRpcUrls() {
+  return [...config.solana.rpcUrls, config.solana.network]
+    .filter(isRpcUrl)
+    .map(url => new URL(url).href);
+}
+
+/**
+ * Whether a value names a cluster or a configured RPC URL
+ */
+function isValidNetwork(network) {
+  try {
+    resolveNetwork(network);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Name to show for a network; custom URLs may carry API keys, so only
+ * their origin is shown
+ */
+function networkLabel(network) {
+  const name = resolveNetwork(network);
+  return CLUSTERS.includes(name) ? name : redactEndpoint(name);
+}
+
+/**
+ * RPC endpoints for a resolved network: the configured list for a named
+ * cluster, or the URL itself for a custom endpoint
+ */
+function clusterEndpoints(network) {
+  return CLUSTERS.includes(network) ? config.solana.endpoints[network] : [network];
+}
+
+export { CLUSTERS, GENESIS_HASHES, resolveNetwork, isValidNetwork, networkLabel, clusterEndpoints };
@@ -6,13 +6,39 @@ const result = dotenv.config();
 console.error(`Loading .env file: ${result.error ? 'FAILED: ' + result.error.message : 'SUCCESS'}`);
 console.error(`Environment SOLANA_NETWORK = ${process.env.SOLANA_NETWORK}`);
 
+// Token approval thresholds are "mint:amount" pairs in each mint's own UI
+// units, since amounts of different mints are not comparable; "*:amount" (or
+// a bare amount) covers mints without their own entry
+function parseTokenThresholds(value) {
+  if (!value) return null;
+  const thresholds = {};
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [mint, amount] = entry.includes(':') ? entry.split(':') : ['*', entry];
+    thresholds[mint.trim()] = parseFloat(amount);
+  }
+  return thresholds;
+}
+
 export const config = {
   // Server settings
   server: {
     name: process.env.MCP_SERVER_NAME || 'solana-mcp',
     version: process.env.MCP_SERVER_VERSION || '1.0.0',
-    port: parseInt(process.env.MCP_SERVER_PORT || '0', 10),
-    logLevel: process.env.LOG_LEVEL || 'INFO'
+    // MCP server's HTTP port: monitoring, the operator approval routes and the http transport
+    port: parseInt(process.env.MCP_SERVER_PORT || '3000', 10),
+    logLevel: process.env.LOG_LEVEL || 'INFO',
+    // 'stdio' for a local client, 'http' for Streamable HTTP + SSE on the server port
+    transport: process.env.MCP_TRANSPORT || 'stdio',
+    authToken: process.env.MCP_HTTP_AUTH_TOKEN || '',
+    sessionTtlMinutes: parseInt(process.env.MCP_SESSION_TTL_MINUTES || '30', 10)
+  },
+  
+  // REST and WebSocket API
+  api: {
+    // Bearer token for tools that sign with or manage keystore wallets; they are refused when unset
+    authToken: process.env.API_AUTH_TOKEN || '',
+    // Origins allowed to call the API from a browser; none when unset
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
   },
   
   // Solana settings
@@ -21,6 +47,8 @@ export const config = {
     endpoints: {
       'mainnet-beta': [
         process.env.MAINNET_RPC_URL || 'https://api.mainnet-beta.solana.com',
+        // Used to be the pump.fun tools' own RPC; now part of the mainnet pool
+        ...(process.env.HELIUS_RPC_URL ? [process.env.HELIUS_RPC_URL] : []),
         'https://solana-api.projectserum.com',
         'https://rpc.ankr.com/solana'
       ],
@@ -35,12 +63,118 @@ export const config = {
         'http://localhost:8899'
       ]
     },
+    // Custom RPC URLs tools may pick with their network argument (comma-separated)
+    rpcUrls: (process.env.SOLANA_RPC_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
     commitment: process.env.SOLANA_COMMITMENT || 'confirmed'
   },
   
+  // RPC endpoint pool: failover, rate limit handling and health scoring
+  rpcPool: {
+    maxRetries: parseInt(process.env.RPC_MAX_RETRIES || '2', 10),
+    rateLimitCooldownMs: parseInt(process.env.RPC_RATE_LIMIT_COOLDOWN_MS || '30000', 10),
+    maxSlotLag: parseInt(process.env.RPC_MAX_SLOT_LAG || '50', 10),
+    timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '30000', 10),
+    probeIntervalMs: parseInt(process.env.RPC_PROBE_INTERVAL_MS || '30000', 10)
+  },
+  
+  // Priority fees: compute unit price presets come from recent fees, clamped to this range
+  fees: {
+    defaultLevel: process.env.PRIORITY_FEE_LEVEL || 'medium',
+    minMicroLamports: parseInt(process.env.PRIORITY_FEE_MIN_MICROLAMPORTS || '0', 10),
+    maxMicroLamports: parseInt(process.env.PRIORITY_FEE_MAX_MICROLAMPORTS || '10000000', 10),
+    // Headroom over the simulated compute units, and the limit when simulation fails
+    computeUnitMargin: parseFloat(process.env.COMPUTE_UNIT_MARGIN || '1.2'),
+    defaultComputeUnits: parseInt(process.env.DEFAULT_COMPUTE_UNITS || '200000', 10)
+  },
+  
+  // Sending transactions and waiting for them to land
+  sender: {
+    // Skip the RPC node's simulation on the first send, and retries it does on its own
+    skipPreflight: process.env.TX_SKIP_PREFLIGHT === 'true',
+    maxRetries: parseInt(process.env.TX_MAX_RETRIES || '0', 10),
+    timeoutMs: parseInt(process.env.TX_CONFIRM_TIMEOUT_MS || '90000', 10),
+    resendIntervalMs: parseInt(process.env.TX_RESEND_INTERVAL_MS || '4000', 10),
+    pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS || '2000', 10)
+  },
+  
+  // Encrypted keystore settings
+  keystore: {
+    dir: process.env.KEYSTORE_DIR || '.keystore',
+    passphrase: process.env.KEYSTORE_PASSPHRASE || ''
+  },
+  
+  // Signing policy settings (limits in SOL, unset means no limit)
+  policy: {
+    file: process.env.POLICY_FILE || 'policy.json',
+    ledgerFile: process.env.POLICY_LEDGER_FILE || '.policy-ledger.json',
+    maxSolPerTransaction: process.env.POLICY_MAX_SOL_PER_TX ? parseFloat(process.env.POLICY_MAX_SOL_PER_TX) : null,
+    maxSolPerDay: process.env.POLICY_MAX_SOL_PER_DAY ? parseFloat(process.env.POLICY_MAX_SOL_PER_DAY) : null
+  },
+  
+  // Human approval queue (thresholds unset means no approval needed)
+  approvals: {
+    thresholds: {
+      transferSol: process.env.APPROVAL_THRESHOLD_SOL ? parseFloat(process.env.APPROVAL_THRESHOLD_SOL) : null,
+      createStakeAccount: process.env.APPROVAL_THRESHOLD_SOL ? parseFloat(process.env.APPROVAL_THRESHOLD_SOL) : null,
+      withdrawStake: process.env.APPROVAL_THRESHOLD_SOL ? parseFloat(process.env.APPROVAL_THRESHOLD_SOL) : null,
+      createPumpFunToken: process.env.APPROVAL_THRESHOLD_SOL ? parseFloat(process.env.APPROVAL_THRESHOLD_SOL) : null,
+      buyPumpFunToken: process.env.APPROVAL_THRESHOLD_SOL ? parseFloat(process.env.APPROVAL_THRESHOLD_SOL) : null,
+      transferToken: parseTokenThresholds(process.env.APPROVAL_THRESHOLD_TOKENS),
+      mintTo: parseTokenThresholds(process.env.APPROVAL_THRESHOLD_TOKENS),
+      burn: parseTokenThresholds(process.env.APPROVAL_THRESHOLD_TOKENS)
+    },
+    ttlMinutes: parseInt(process.env.APPROVAL_TTL_MINUTES || '60', 10),
+    adminToken: process.env.APPROVAL_ADMIN_TOKEN || '',
+    file: process.env.APPROVAL_QUEUE_FILE || '.approvals.json',
+    auditFile: process.env.APPROVAL_AUDIT_FILE || 'logs/approvals-audit.jsonl'
+  },
+  
+  // Transaction history paging ceilings
+  history: {
+    maxTransactions: parseInt(process.env.HISTORY_MAX_TRANSACTIONS || '5000', 10),
+    maxPages: parseInt(process.env.HISTORY_MAX_PAGES || '20', 10)
+  },
+  
+  // WebSocket subscription limits
+  subscriptions: {
+    maxPerClient: parseInt(process.env.WS_MAX_SUBSCRIPTIONS_PER_CLIENT || '50', 10)
+  },
+  
+  // Where token images and metadata JSON are uploaded: pumpfun, ipfs, arweave or local
+  storage: {
+    provider: process.env.STORAGE_PROVIDER || 'pumpfun',
+    timeoutMs: parseInt(process.env.STORAGE_TIMEOUT_MS || '30000', 10),
+    pumpfun: {
+      url: process.env.PUMPFUN_IPFS_URL || 'https://pump.fun/api/ipfs'
+    },
+    ipfs: {
+      apiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+      // Sent verbatim as the Authorization header, e.g. "Basic ..." or "Bearer ..."
+      auth: process.env.IPFS_API_AUTH || '',
+      gatewayUrl: process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs'
+    },
+    arweave: {
+      uploadUrl: process.env.ARWEAVE_UPLOAD_URL || '',
+      token: process.env.ARWEAVE_UPLOAD_TOKEN || '',
+      gatewayUrl: process.env.ARWEAVE_GATEWAY_URL || 'https://arweave.net'
+    },
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || '.storage',
+      publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/storage`
+    }
+  },
+  
   // PumpFun settings
   pumpfun: {
-    privateKey: process.env.PUMPFUN_PRIVATE_KEY || ''
+    privateKey: process.env.PUMPFUN_PRIVATE_KEY || '',
+    // Token image limits; local image paths must sit under imageDir
+    image: {
+      dir: process.env.PUMPFUN_IMAGE_DIR || '.',
+      maxBytes: parseInt(process.env.PUMPFUN_IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10),
+      minDimension: parseInt(process.env.PUMPFUN_IMAGE_MIN_DIMENSION || '100', 10),
+      maxDimension: parseInt(process.env.PUMPFUN_IMAGE_MAX_DIMENSION || '4096', 10),
+      downloadTimeoutMs: parseInt(process.env.PUMPFUN_IMAGE_TIMEOUT_MS || '15000', 10)
+    }
   }
 };
 
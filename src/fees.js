@@ -0,0 +1,164 @@
+/**
+ * Priority fees and compute budget
+ * Prices compute units from recent prioritization fees paid by transactions
+ * that wrote to the same accounts, and sizes the compute unit limit from a
+ * simulation, so transactions land under congestion without overpaying.
+ */
+
+import {
+  ComputeBudgetProgram,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+import { config } from './config.js';
+
+const FEE_LEVELS = ['low', 'medium', 'high'];
+// Percentile of recent fees each level pays
+const LEVEL_PERCENTILES = { low: 25, medium: 50, high: 90 };
+// Most accounts getRecentPrioritizationFees accepts
+const MAX_FEE_ACCOUNTS = 128;
+// Compute limit used while measuring, the per-transaction maximum
+const MAX_COMPUTE_UNITS = 1_400_000;
+
+/**
+ * Value at a percentile of a sorted list
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Priority fee in SOL for a compute unit price and limit
+ * @param {number} microLamports - Price per compute unit in micro-lamports
+ * @param {number} computeUnits - Compute unit limit
+ */
+function priorityFeeSol(microLamports, computeUnits) {
+  return (microLamports * computeUnits) / 1e6 / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Estimate compute unit prices from recent prioritization fees
+ * @param {Connection} connection - Solana connection
+ * @param {Array<PublicKey|string>} [writableAccounts] - Accounts the transaction writes; fees are local to them
+ * @returns {Promise<Object>} { low, medium, high } in micro-lamports per compute unit, and the sample size
+ */
+async function estimatePriorityFees(connection, writableAccounts = []) {
+  const accounts = [...new Set(writableAccounts.map(account => account.toString()))]
+    .slice(0, MAX_FEE_ACCOUNTS)
+    .map(account => new PublicKey(account));
+
+  const recent = await connection.getRecentPrioritizationFees(
+    accounts.length > 0 ? { lockedWritableAccounts: accounts } : undefined
+  );
+  const sorted = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+
+  const { minMicroLamports, maxMicroLamports } = config.fees;
+  const estimate = { samples: sorted.length };
+  for (const level of FEE_LEVELS) {
+    estimate[level] = Math.min(maxMicroLamports, Math.max(minMicroLamports, percentile(sorted, LEVEL_PERCENTILES[level])));
+  }
+  return estimate;
+}
+
+/**
+ * Measure the compute units a set of instructions needs by simulating them
+ * alongside both compute budget instructions, which consume units themselves
+ * @param {Connection} connection - Solana connection
+ * @param {Array<TransactionInstruction>} instructions - Instructions without compute budget instructions
+ * @param {PublicKey} payer - Fee payer
+ * @returns {Promise<number|null>} Units consumed, or null when the simulation did not run
+ */
+async function measureComputeUnits(connection, instructions, payer) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    // Replaced by the RPC node, so any well-formed hash will do
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+      // Placeholder for the price instruction added once fees are estimated
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+      ...instructions
+    ]
+  }).compileToV0Message();
+
+  try {
+    const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: config.solana.commitment
+    });
+    if (value.err || !value.unitsConsumed) {
+      console.error(`Compute unit simulation failed: ${JSON.stringify(value.err)}`);
+      return null;
+    }
+    return value.unitsConsumed;
+  } catch (error) {
+    console.error(`Compute unit simulation failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Prepend compute budget instructions to a legacy transaction: a unit limit
+ * sized from simulation and a unit price from recent fees on its writable accounts
+ * @param {Connection} connection - Solana connection
+ * @param {Transaction} transaction - Unsigned transaction without compute budget instructions
+ * @param {Object} options
+ * @param {PublicKey} options.payer - Fee payer
+ * @param {string} [options.priorityLevel] - 'low', 'medium' or 'high'; PRIORITY_FEE_LEVEL when omitted
+ * @returns {Promise<Object>} { priorityLevel, computeUnitLimit, computeUnitPrice, maxPriorityFee }
+ */
+async function applyComputeBudget(connection, transaction, { payer, priorityLevel }) {
+  const level = priorityLevel || config.fees.defaultLevel;
+  const instructions = transaction.instructions;
+  const writable = instructions.flatMap(instruction => (
+    instruction.keys.filter(key => key.isWritable).map(key => key.pubkey)
+  ));
+
+  const [measured, estimate] = await Promise.all([
+    measureComputeUnits(connection, instructions, payer),
+    estimatePriorityFees(connection, writable)
+  ]);
+
+  // Headroom over the measured units; fall back to the default limit
+  const computeUnitLimit = measured
+    ? Math.min(MAX_COMPUTE_UNITS, Math.ceil(measured * config.fees.computeUnitMargin))
+    : config.fees.defaultComputeUnits;
+  const computeUnitPrice = estimate[level];
+
+  transaction.instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+    ...(computeUnitPrice > 0 ? [ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice })] : []),
+    ...instructions
+  ];
+
+  return {
+    priorityLevel: level,
+    computeUnitLimit,
+    computeUnitPrice,
+    maxPriorityFee: priorityFeeSol(computeUnitPrice, computeUnitLimit)
+  };
+}
+
+/**
+ * Network fee a landed transaction actually paid (base plus priority), in SOL
+ * @returns {Promise<number|null>} Fee, or null when the transaction cannot be read yet
+ */
+async function getFeePaid(connection, signature) {
+  try {
+    const tx = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    return tx?.meta ? tx.meta.fee / LAMPORTS_PER_SOL : null;
+  } catch (error) {
+    console.error(`Could not read fee of ${signature}: ${error.message}`);
+    return null;
+  }
+}
+
+export { FEE_LEVELS, estimatePriorityFees, applyComputeBudget, priorityFeeSol, getFeePaid };
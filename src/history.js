@@ -0,0 +1,152 @@
+/**
+ * Transaction history paging
+ * Walks getSignaturesForAddress page by page (newest first) using before/until
+ * cursors, applies time range, status and program filters, and returns a
+ * cursor the caller can pass back as `before` to continue.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { config } from './config.js';
+
+// Largest page getSignaturesForAddress will return
+const RPC_PAGE_SIZE = 1000;
+// Signatures per getParsedTransactions call when filtering by program
+const PROGRAM_LOOKUP_BATCH = 100;
+
+/**
+ * Parse a time filter given as unix seconds or an ISO 8601 date into unix seconds
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid ${name}: expected unix seconds or an ISO 8601 date`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Find which signatures belong to transactions that involve a program
+ * @returns {Promise<Set<string>>} Signatures whose account keys include the program
+ */
+async function findProgramSignatures(connection, signatures, programId) {
+  const matches = new Set();
+
+  for (let i = 0; i < signatures.length; i += PROGRAM_LOOKUP_BATCH) {
+    const batch = signatures.slice(i, i + PROGRAM_LOOKUP_BATCH);
+    const transactions = await connection.getParsedTransactions(batch, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+
+    transactions.forEach((tx, index) => {
+      // Parsed account keys include addresses loaded from lookup tables
+      if (tx && tx.transaction.message.accountKeys.some(key => key.pubkey.toBase58() === programId)) {
+        matches.add(batch[index]);
+      }
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Fetch transaction history for an address across as many pages as needed
+ * @param {Connection} connection - Solana connection
+ * @param {string} address - Account address
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Transactions to return (capped by config.history.maxTransactions)
+ * @param {string} [options.before] - Start after this signature (next-page cursor)
+ * @param {string} [options.until] - Stop at this signature (exclusive)
+ * @param {number|string} [options.startTime] - Oldest block time, unix seconds or ISO date
+ * @param {number|string} [options.endTime] - Newest block time, unix seconds or ISO date
+ * @param {string} [options.status='all'] - 'all', 'success' or 'failed'
+ * @param {string} [options.program] - Only transactions involving this program id
+ * @returns {Promise<Object>} Transactions plus nextCursor/hasMore for the next page
+ */
+async function fetchTransactionHistory(connection, address, options = {}) {
+  const pubkey = new PublicKey(address);
+  const limit = Math.min(options.limit || 10, config.history.maxTransactions);
+  const startTime = parseTime(options.startTime, 'startTime');
+  const endTime = parseTime(options.endTime, 'endTime');
+  const status = options.status || 'all';
+  const program = options.program ? new PublicKey(options.program).toBase58() : null;
+  const filtered = startTime !== null || endTime !== null || status !== 'all' || program !== null;
+
+  const transactions = [];
+  let cursor = options.before || undefined;
+  let pagesFetched = 0;
+  let scanned = 0;
+  let exhausted = false;
+
+  while (transactions.length < limit && !exhausted && pagesFetched < config.history.maxPages) {
+    // Without filters every signature counts, so don't fetch more than we need
+    const pageSize = filtered ? RPC_PAGE_SIZE : Math.min(RPC_PAGE_SIZE, limit - transactions.length);
+    const page = await connection.getSignaturesForAddress(pubkey, {
+      before: cursor,
+      until: options.until,
+      limit: pageSize
+    });
+    pagesFetched++;
+
+    // Signatures come newest first, so anything older than startTime ends the walk
+    let pageEntries = page;
+    const tooOld = startTime === null ? -1 : page.findIndex(sig => sig.blockTime && sig.blockTime < startTime);
+    if (tooOld !== -1) {
+      pageEntries = page.slice(0, tooOld);
+    }
+
+    const candidates = pageEntries.filter(sig =>
+      (endTime === null || !sig.blockTime || sig.blockTime <= endTime) &&
+      (status === 'all' || (status === 'failed') === (sig.err !== null))
+    );
+    const programMatches = program
+      ? await findProgramSignatures(connection, candidates.map(sig => sig.signature), program)
+      : null;
+    const accepted = new Set(
+      candidates.filter(sig => !programMatches || programMatches.has(sig.signature)).map(sig => sig.signature)
+    );
+
+    let stoppedEarly = false;
+    for (const sig of pageEntries) {
+      cursor = sig.signature;
+      scanned++;
+
+      if (accepted.has(sig.signature)) {
+        transactions.push({
+          signature: sig.signature,
+          slot: sig.slot,
+          blockTime: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+          err: sig.err,
+          memo: sig.memo,
+          confirmationStatus: sig.confirmationStatus
+        });
+
+        if (transactions.length >= limit) {
+          stoppedEarly = sig !== pageEntries[pageEntries.length - 1];
+          break;
+        }
+      }
+    }
+
+    // Entries left on this page after the limit still need a later call
+    exhausted = !stoppedEarly && (tooOld !== -1 || page.length < pageSize);
+  }
+
+  return {
+    address,
+    transactions,
+    count: transactions.length,
+    nextCursor: exhausted ? null : cursor || null,
+    hasMore: !exhausted,
+    pagesFetched,
+    scanned
+  };
+}
+
+export { fetchTransactionHistory };
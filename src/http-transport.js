@@ -0,0 +1,208 @@
+/**
+ * Network transports for the MCP server
+ * Serves the Streamable HTTP transport on /mcp and the older HTTP+SSE
+ * transport on /sse + /messages so remote agents can share one deployed
+ * instance. Every session gets its own McpServer from the factory; idle
+ * sessions are closed after config.server.sessionTtlMinutes.
+ */
+
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { config } from './config.js';
+import { sendJson, readJsonBody, hasBearerToken, RequestBodyError } from './http-utils.js';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+
+/**
+ * Reply with a JSON-RPC error outside of any session
+ */
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+class McpHttpTransport {
+  /**
+   * @param {Function} createServer - Returns a new, fully registered McpServer
+   * @param {Object} [options]
+   * @param {string} [options.authToken] - Bearer token clients must send (empty disables auth, so the server only listens on localhost)
+   * @param {number} [options.sessionTtlMinutes] - Idle minutes before a session is closed
+   */
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    this.authToken = options.authToken ?? config.server.authToken;
+    this.sessionTtlMs = (options.sessionTtlMinutes || config.server.sessionTtlMinutes) * 60 * 1000;
+    // sessionId -> { type, transport, server, lastActivity }
+    this.sessions = new Map();
+
+    this.sweepInterval = setInterval(() => this.closeIdleSessions(), 60 * 1000);
+    this.sweepInterval.unref();
+  }
+
+  /**
+   * Whether a request path belongs to an MCP transport
+   */
+  handles(pathname) {
+    return pathname === MCP_PATH || pathname === SSE_PATH || pathname === SSE_MESSAGES_PATH;
+  }
+
+  /**
+   * Route an HTTP request to the matching transport
+   */
+  async handleRequest(req, res, url) {
+    if (this.authToken && !hasBearerToken(req, this.authToken)) {
+      return sendRpcError(res, 401, -32001, 'Unauthorized');
+    }
+
+    try {
+      if (url.pathname === MCP_PATH) {
+        await this.handleStreamable(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await this.openSseSession(res);
+      } else if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+        await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      } else {
+        sendRpcError(res, 405, -32000, 'Method not allowed');
+      }
+    } catch (error) {
+      if (error instanceof RequestBodyError) {
+        // -32700 is the JSON-RPC code for a body that does not parse
+        const parseError = error.status === 400;
+        return sendRpcError(res, error.status, parseError ? -32700 : -32600, parseError ? 'Parse error' : error.message);
+      }
+      console.error(`Error handling MCP HTTP request: ${error.message}`);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  }
+
+  /**
+   * Look up a live session of the given transport type and mark it active
+   */
+  touch(sessionId, type) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.type !== type) return null;
+
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  /**
+   * Streamable HTTP: POST carries requests, GET opens the notification
+   * stream and DELETE ends the session
+   */
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = this.touch(sessionId, 'streamable');
+
+    if (req.method !== 'POST') {
+      if (!session) {
+        return sendRpcError(res, 404, -32001, 'Session not found');
+      }
+      return session.transport.handleRequest(req, res);
+    }
+
+    const body = await readJsonBody(req);
+
+    if (session) {
+      return session.transport.handleRequest(req, res, body);
+    }
+    if (sessionId) {
+      return sendRpcError(res, 404, -32001, 'Session not found');
+    }
+    if (!isInitializeRequest(body)) {
+      return sendRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { type: 'streamable', transport, server, lastActivity: Date.now() });
+        console.error(`MCP session ${id} opened (streamable HTTP)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        console.error(`MCP session ${transport.sessionId} closed`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * HTTP+SSE fallback: GET /sse opens the event stream for a new session
+   */
+  async openSseSession(res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const { sessionId } = transport;
+
+    this.sessions.set(sessionId, { type: 'sse', transport, server, lastActivity: Date.now() });
+    res.on('close', () => {
+      if (this.sessions.delete(sessionId)) {
+        console.error(`MCP session ${sessionId} closed`);
+      }
+      server.close().catch(() => {});
+    });
+
+    console.error(`MCP session ${sessionId} opened (SSE)`);
+    await server.connect(transport);
+  }
+
+  /**
+   * HTTP+SSE fallback: POST /messages?sessionId= delivers a client message
+   */
+  async handleSseMessage(req, res, sessionId) {
+    const session = this.touch(sessionId, 'sse');
+    if (!session) {
+      return sendRpcError(res, 404, -32001, 'Session not found');
+    }
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  /**
+   * Close sessions that have been idle longer than the TTL
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionTtlMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        console.error(`Closing idle MCP session ${sessionId}`);
+        this.sessions.delete(sessionId);
+        session.transport.close().catch(error => {
+          console.error(`Error closing MCP session ${sessionId}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Session counts by transport type, for /health and /metrics
+   */
+  stats() {
+    const stats = { streamable: 0, sse: 0 };
+    for (const session of this.sessions.values()) {
+      stats[session.type]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Close every open session
+   */
+  async closeAll() {
+    clearInterval(this.sweepInterval);
+    const sessions = [...this.sessions.values()];
+    this.sessions.clear();
+    await Promise.all(sessions.map(session => session.transport.close().catch(() => {})));
+  }
+}
+
+export { McpHttpTransport };
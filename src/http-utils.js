@@ -0,0 +1,85 @@
+/**
+ * Small helpers for the raw node:http handlers of the MCP server
+ */
+
+import crypto from 'crypto';
+
+// Largest request body accepted
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Raised when a request body is too large or not valid JSON.
+ * Carries the HTTP status to answer with.
+ */
+class RequestBodyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestBodyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @param {number} [maxBytes] - Largest body accepted
+ * @returns {Promise<Object>} Parsed body; {} when empty
+ * @throws {RequestBodyError} 413 when the body is too large, 400 when it is not JSON
+ */
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new RequestBodyError(413, `Request body is larger than ${maxBytes} bytes`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      // Discard the body so the response can still be sent
+      req.resume();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        failed = true;
+        chunks.length = 0;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (failed) return;
+      const text = Buffer.concat(chunks).toString('utf-8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(new RequestBodyError(400, `Parse error: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check an Authorization: Bearer header in constant time
+ * @param {IncomingMessage} req - HTTP request
+ * @param {string} token - Expected token
+ * @returns {boolean} Whether the request carries the token
+ */
+function hasBearerToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export { sendJson, readJsonBody, hasBearerToken, RequestBodyError };
@@ -1,40 +1,73 @@
-const express = require('express');
-const cors = require('cors');
-const WebSocket = require('ws');
-const { initialize } = require('./solana');
-const { setupRoutes } = require('./routes');
-const { initializeMcpTools } = require('./mcp');
-require('dotenv').config();
+import express from 'express';
+import cors from 'cors';
+import { WebSocketServer } from 'ws';
+import { solanaAPI } from './solana-api.js';
+import { setupRoutes, checkToolAccess } from './routes.js';
+import { runTool, getTool } from './tools.js';
+import { PolicyViolationError } from './policy.js';
+import { SubscriptionManager } from './subscriptions.js';
+import { config } from './config.js';
 
 // Initialize the express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Browsers may only call the API from CORS_ORIGINS; same-origin pages such as the tester always can
+app.use(cors({ origin: config.api.corsOrigins.length > 0 ? config.api.corsOrigins : false }));
+// Large enough for a base64 token image at the configured size limit
+app.use(express.json({ limit: Math.ceil(config.pumpfun.image.maxBytes * 4 / 3) + 64 * 1024 }));
 
-// Initialize Solana connection
-const solanaConnection = initialize();
-
-// Initialize MCP tools
-const mcpTools = initializeMcpTools(solanaConnection);
+// Shared real-time subscriptions for WebSocket clients
+const subscriptions = new SubscriptionManager(() => solanaAPI.connection);
 
 // Set up API routes
-setupRoutes(app, solanaConnection);
+setupRoutes(app);
 
 // Serve static files
 app.use(express.static('public'));
 
+// Token metadata written by the local storage provider
+if (config.storage.provider === 'local') {
+  app.use('/storage', express.static(config.storage.local.dir));
+}
+
+/**
+ * Run a registry tool for a WebSocket `mcp` message: { action, parameters, requestId }.
+ * Privileged tools need API_AUTH_TOKEN on the upgrade request, which browsers cannot send.
+ */
+async function handleMcpMessage(ws, req, message = {}) {
+  const denied = checkToolAccess(req, getTool(message.action));
+  if (denied) {
+    ws.send(JSON.stringify({ type: 'error', requestId: message.requestId, error: denied.error, status: denied.status }));
+    return;
+  }
+  try {
+    const data = await runTool(message.action, message.parameters || {});
+    ws.send(JSON.stringify({
+      type: 'response',
+      requestId: message.requestId,
+      data
+    }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      requestId: message.requestId,
+      error: error.message,
+      ...(error instanceof PolicyViolationError ? error.toJSON() : {})
+    }));
+  }
+}
+
 // Start the HTTP server
 const server = app.listen(PORT, () => {
   console.log(`Solana MCP server running on port ${PORT}`);
 });
 
 // Set up WebSocket server for real-time updates
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocketServer({ server });
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('Client connected to WebSocket');
   
   // Send initial connection message
@@ -52,11 +85,37 @@ wss.on('connection', (ws) => {
       // Handle different message types
       switch (parsedMessage.type) {
         case 'subscribe':
-          // Subscribe to specific blockchain events
+          // Subscribe to account, tokenBalance, signature or logs notifications
+          subscriptions.subscribe(ws, parsedMessage.data || {})
+            .then(subscriptionId => ws.send(JSON.stringify({
+              type: 'subscribed',
+              requestId: parsedMessage.requestId,
+              subscriptionId
+            })))
+            .catch(error => ws.send(JSON.stringify({
+              type: 'error',
+              requestId: parsedMessage.requestId,
+              message: error.message
+            })));
+          break;
+        case 'unsubscribe': {
+          const subscriptionId = parsedMessage.data?.subscriptionId;
+          subscriptions.unsubscribe(ws, subscriptionId)
+            .then(removed => ws.send(JSON.stringify(removed
+              ? { type: 'unsubscribed', requestId: parsedMessage.requestId, subscriptionId }
+              : { type: 'error', requestId: parsedMessage.requestId, message: `Not subscribed to ${subscriptionId}` })));
+          break;
+        }
+        case 'listSubscriptions':
+          ws.send(JSON.stringify({
+            type: 'subscriptions',
+            requestId: parsedMessage.requestId,
+            subscriptionIds: subscriptions.list(ws)
+          }));
           break;
         case 'mcp':
           // Handle MCP specific messages
-          mcpTools.handleWebSocketMessage(ws, parsedMessage.data);
+          handleMcpMessage(ws, req, parsedMessage.data);
           break;
         default:
           ws.send(JSON.stringify({
@@ -76,6 +135,9 @@ wss.on('connection', (ws) => {
   // Handle client disconnect
   ws.on('close', () => {
     console.log('Client disconnected from WebSocket');
+    subscriptions.removeClient(ws).catch(error => {
+      console.error('Error cleaning up subscriptions:', error);
+    });
   });
 });
 
@@ -87,4 +149,4 @@ process.on('SIGTERM', () => {
   });
 });
 
-module.exports = { app, server };
+export { app, server };
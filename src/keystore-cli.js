@@ -0,0 +1,59 @@
+// Operator CLI for the encrypted keystore
+// Usage:
+//   npm run keystore -- list
+//   npm run keystore -- create <label>
+//   npm run keystore -- import <label> < secret.txt   (base58 or JSON byte array on stdin)
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { keystore } from './keystore.js';
+
+/**
+ * Read the whole of stdin as a string
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8').trim();
+}
+
+/**
+ * Parse a secret key given as base58 or as a JSON byte array
+ */
+function parseSecretKey(text) {
+  if (text.startsWith('[')) {
+    return new Uint8Array(JSON.parse(text));
+  }
+  return bs58.decode(text);
+}
+
+async function main() {
+  const [command, label] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list':
+      console.log(JSON.stringify(await keystore.list(), null, 2));
+      break;
+    case 'create':
+      console.log(JSON.stringify(await keystore.createWallet(label), null, 2));
+      break;
+    case 'import': {
+      if (!label) {
+        throw new Error('Usage: import <label> (secret key on stdin)');
+      }
+      const keypair = Keypair.fromSecretKey(parseSecretKey(await readStdin()));
+      console.log(JSON.stringify(await keystore.importKeypair(label, keypair), null, 2));
+      break;
+    }
+    default:
+      throw new Error('Usage: keystore-cli.js <list|create|import> [label]');
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error(`Keystore error: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,201 @@
+/**
+ * Encrypted keystore for server-side wallets
+ * Keypairs are stored one per file, encrypted with AES-256-GCM using a key
+ * derived from a passphrase with scrypt. Tools refer to wallets by label or
+ * public key so secret keys never appear in tool arguments or results.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { config } from './config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const LABEL_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+class Keystore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory holding the encrypted key files
+   * @param {string} [options.passphrase] - Passphrase used to derive encryption keys
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || config.keystore.dir);
+    this.passphrase = options.passphrase ?? config.keystore.passphrase;
+  }
+
+  /**
+   * Derive the file encryption key for a given salt
+   */
+  async deriveKey(salt, params = KDF_PARAMS) {
+    if (!this.passphrase) {
+      throw new Error('Keystore passphrase is not configured (set KEYSTORE_PASSPHRASE)');
+    }
+
+    return scrypt(this.passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+  }
+
+  /**
+   * Read all keystore entries (metadata only, nothing is decrypted)
+   */
+  async readEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf-8'));
+        // Skip plaintext keypair files and anything else that is not ours
+        if (entry && entry.version === KEYSTORE_VERSION && entry.ciphertext) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable keystore file ${file}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find a stored entry by label or public key
+   */
+  async findEntry(labelOrPublicKey) {
+    const entries = await this.readEntries();
+    return entries.find(entry => entry.label === labelOrPublicKey || entry.publicKey === labelOrPublicKey) || null;
+  }
+
+  /**
+   * Check whether a wallet exists
+   */
+  async has(labelOrPublicKey) {
+    return (await this.findEntry(labelOrPublicKey)) !== null;
+  }
+
+  /**
+   * List stored wallets without exposing key material
+   */
+  async list() {
+    const entries = await this.readEntries();
+    return entries
+      .map(({ label, publicKey, createdAt }) => ({ label, publicKey, createdAt }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Encrypt and store an existing keypair under a label
+   */
+  async importKeypair(label, keypair) {
+    if (!LABEL_PATTERN.test(label || '')) {
+      throw new Error('Wallet label must be 1-64 characters of letters, digits, "_" or "-"');
+    }
+
+    // Labels must not be confused with public keys during lookup
+    let looksLikePublicKey = false;
+    try {
+      looksLikePublicKey = new PublicKey(label).toBase58() === label;
+    } catch (error) {
+      looksLikePublicKey = false;
+    }
+    if (looksLikePublicKey) {
+      throw new Error('Wallet label must not be a public key');
+    }
+
+    const publicKey = keypair.publicKey.toBase58();
+    const entries = await this.readEntries();
+    if (entries.some(entry => entry.label === label)) {
+      throw new Error(`A wallet labelled "${label}" already exists`);
+    }
+    if (entries.some(entry => entry.publicKey === publicKey)) {
+      throw new Error(`Wallet ${publicKey} is already in the keystore`);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(salt);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    // Bind the ciphertext to its public key so files cannot be swapped
+    cipher.setAAD(Buffer.from(publicKey));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+    const entry = {
+      version: KEYSTORE_VERSION,
+      label,
+      publicKey,
+      createdAt: new Date().toISOString(),
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+      cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+      ciphertext: ciphertext.toString('base64')
+    };
+
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(path.join(this.dir, `${publicKey}.json`), JSON.stringify(entry, null, 2), { mode: 0o600, flag: 'wx' });
+
+    return { label, publicKey, createdAt: entry.createdAt };
+  }
+
+  /**
+   * Generate a new keypair and store it encrypted
+   */
+  async createWallet(label = `wallet-${Date.now()}`) {
+    return this.importKeypair(label, Keypair.generate());
+  }
+
+  /**
+   * Decrypt and return the keypair for a label or public key
+   */
+  async getKeypair(labelOrPublicKey) {
+    const entry = await this.findEntry(labelOrPublicKey);
+    if (!entry) {
+      throw new Error(`Wallet "${labelOrPublicKey}" not found in keystore`);
+    }
+
+    const { salt, N, r, p } = entry.kdf;
+    const key = await this.deriveKey(Buffer.from(salt, 'base64'), { N, r, p });
+
+    let secretKey;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.cipher.iv, 'base64'));
+      decipher.setAAD(Buffer.from(entry.publicKey));
+      decipher.setAuthTag(Buffer.from(entry.cipher.tag, 'base64'));
+      secretKey = Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'base64')), decipher.final()]);
+    } catch (error) {
+      throw new Error(`Could not decrypt wallet "${labelOrPublicKey}": wrong passphrase or corrupted file`);
+    }
+
+    const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+    secretKey.fill(0);
+
+    if (keypair.publicKey.toBase58() !== entry.publicKey) {
+      throw new Error(`Keystore entry for "${labelOrPublicKey}" does not match its public key`);
+    }
+
+    return keypair;
+  }
+
+  /**
+   * Return the keypair for a label, creating and storing it if missing
+   */
+  async getOrCreateKeypair(label) {
+    if (!(await this.has(label))) {
+      await this.createWallet(label);
+    }
+    return this.getKeypair(label);
+  }
+}
+
+// Shared keystore configured from the environment
+export const keystore = new Keystore();
+
+export { Keystore };
@@ -1,16 +1,19 @@
 // Solana MCP Server Implementation using official MCP SDK
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema, McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { solanaAPI } from './solana-api.js';
+import { PolicyViolationError } from './policy.js';
+import { approvalQueue } from './approvals.js';
+import { listTools, runTool } from './tools.js';
+import { SubscriptionManager } from './subscriptions.js';
+import { McpHttpTransport } from './http-transport.js';
+import { sendJson, readJsonBody, hasBearerToken, RequestBodyError } from './http-utils.js';
 import { config } from './config.js';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
 
-// Import PumpFun API functions
-import { createPumpFunToken } from './pumpfun.js';
-
 // Force console.log to use stderr to avoid interfering with MCP messages
 const originalConsoleLog = console.log;
 console.log = (...args) => console.error(...args);
@@ -18,235 +21,228 @@ console.log = (...args) => console.error(...args);
 // Server start time for uptime tracking
 const serverStartTime = new Date();
 
-// Create MCP server instance
-const server = new McpServer({
-  name: config.server.name,
-  version: config.server.version
-});
+// Format a signing policy rejection as a machine-readable tool error
+function policyRejection(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(error.toJSON(), null, 2) }],
+    isError: true
+  };
+}
 
-// Add Solana network status tool
-server.tool(
-  'getNetworkStatus',
-  {},
-  async () => {
-    try {
-      const status = await solanaAPI.getNetworkStatus();
-      return {
-        content: [{ type: 'text', text: JSON.stringify(status, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in getNetworkStatus: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error getting network status: ${error.message}` }],
-        isError: true
-      };
-    }
+// Wrap chain data as a JSON resource body
+function jsonResource(uri, data) {
+  return {
+    contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+// Resource subscriptions are backed by the same RPC subscriptions as the
+// WebSocket server; each subscribed URI of a session acts as one client of
+// the manager.
+const resourceSubscriptions = new SubscriptionManager(() => solanaAPI.connection);
+
+// Map a resource URI to the chain event that changes it
+function resourceChannel(uri) {
+  const { host, pathname } = new URL(uri);
+  const target = decodeURIComponent(pathname.slice(1));
+
+  switch (host) {
+    case 'account':
+      return { channel: 'account', address: target };
+    case 'token':
+      // Supply and authority changes are writes to the mint account
+      return { channel: 'account', address: target };
+    case 'tx':
+      return { channel: 'signature', signature: target };
+    default:
+      throw new McpError(ErrorCode.InvalidParams, `Resource ${uri} does not support subscriptions`);
   }
-);
+}
 
-// Add get balance tool
-server.tool(
-  'getBalance',
-  { address: z.string().min(32).max(44) },
-  async ({ address }) => {
-    try {
-      const balance = await solanaAPI.getBalance(address);
-      return {
-        content: [{ type: 'text', text: JSON.stringify(balance, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in getBalance: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error getting balance: ${error.message}` }],
-        isError: true
-      };
-    }
+// Build an MCP server with the full tool and resource set.
+// Stdio uses a single instance; every HTTP session gets its own.
+function createMcpServer() {
+  // Create MCP server instance
+  const server = new McpServer({
+    name: config.server.name,
+    version: config.server.version
+  });
+
+  // Resource URIs this session subscribed to
+  const subscribedResources = new Map(); // uri -> { client }
+
+  // Tools come from the shared registry so MCP, REST and WebSocket clients
+  // see the same names, schemas and approval handling
+  for (const tool of listTools()) {
+    server.tool(tool.name, tool.description, tool.schema, async (args) => {
+      try {
+        const result = await runTool(tool.name, args);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        console.error(`Error in ${tool.name}: ${error.message}`);
+        if (error instanceof PolicyViolationError) {
+          return policyRejection(error);
+        }
+        return {
+          content: [{ type: 'text', text: `Error in ${tool.name}: ${error.message}` }],
+          isError: true
+        };
+      }
+    });
   }
-);
 
-// Add account info tool
-server.tool(
-  'getAccountInfo',
-  { address: z.string().min(32).max(44) },
-  async ({ address }) => {
+  // Add network status resource
+  server.resource(
+    'network-status',
+    'solana://network/status',
+    { description: 'Current Solana network status', mimeType: 'application/json' },
+    async (uri) => jsonResource(uri, await solanaAPI.getNetworkStatus())
+  );
+
+  // Add account resource
+  server.resource(
+    'account',
+    new ResourceTemplate('solana://account/{address}', { list: undefined }),
+    { description: 'Account balance, owner and data size', mimeType: 'application/json' },
+    async (uri, { address }) => jsonResource(uri, await solanaAPI.getAccountInfo(address))
+  );
+
+  // Add token mint resource
+  server.resource(
+    'token',
+    new ResourceTemplate('solana://token/{mint}', { list: undefined }),
+    { description: 'Token mint supply, decimals, authorities and metadata', mimeType: 'application/json' },
+    async (uri, { mint }) => jsonResource(uri, await solanaAPI.getTokenInfo(mint))
+  );
+
+  // Add decoded transaction resource
+  server.resource(
+    'transaction',
+    new ResourceTemplate('solana://tx/{signature}', { list: undefined }),
+    { description: 'Decoded transaction with balance changes and logs', mimeType: 'application/json' },
+    async (uri, { signature }) => jsonResource(uri, await solanaAPI.getTransaction(signature))
+  );
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (subscribedResources.has(uri)) return {};
+
+    const client = {
+      readyState: 1,
+      send: (message) => {
+        // One-shot subscriptions (transaction confirmation) end after their final update
+        if (JSON.parse(message).final) subscribedResources.delete(uri);
+        server.server.sendResourceUpdated({ uri }).catch(error => {
+          console.error(`Error sending resource update for ${uri}: ${error.message}`);
+        });
+      }
+    };
+
     try {
-      const accountInfo = await solanaAPI.getAccountInfo(address);
-      return {
-        content: [{ type: 'text', text: JSON.stringify(accountInfo, null, 2) }]
-      };
+      const channel = resourceChannel(uri);
+      // Record the URI before awaiting so an early unsubscribe still finds it
+      subscribedResources.set(uri, { client });
+      await resourceSubscriptions.subscribe(client, channel);
     } catch (error) {
-      console.error(`Error in getAccountInfo: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error getting account info: ${error.message}` }],
-        isError: true
-      };
+      if (subscribedResources.get(uri)?.client === client) subscribedResources.delete(uri);
+      if (error instanceof McpError) throw error;
+      throw new McpError(ErrorCode.InvalidParams, error.message);
     }
-  }
-);
-
-// Add get transactions tool
-server.tool(
-  'getTransactions',
-  { 
-    address: z.string().min(32).max(44),
-    limit: z.number().int().positive().max(100).optional().default(10)
-  },
-  async ({ address, limit }) => {
-    try {
-      const transactions = await solanaAPI.getTransactions(address, limit);
-      return {
-        content: [{ type: 'text', text: JSON.stringify(transactions, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in getTransactions: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error getting transactions: ${error.message}` }],
-        isError: true
-      };
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const subscription = subscribedResources.get(uri);
+    if (subscription) {
+      subscribedResources.delete(uri);
+      await resourceSubscriptions.removeClient(subscription.client);
     }
-  }
-);
-
-// Add transfer SOL tool
-server.tool(
-  'transferSol',
-  {
-    from: z.string().min(32).max(44),
-    to: z.string().min(32).max(44),
-    amount: z.number().positive(),
-    privateKey: z.string().min(87).max(88) // Base58 encoded private key
-  },
-  async ({ from, to, amount, privateKey }) => {
-    try {
-      const result = await solanaAPI.transferSol(from, to, amount, privateKey);
-      return {
-        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in transferSol: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error transferring SOL: ${error.message}` }],
-        isError: true
-      };
+    return {};
+  });
+
+  // Release this session's resource subscriptions when its transport closes
+  server.server.onclose = () => {
+    for (const { client } of subscribedResources.values()) {
+      resourceSubscriptions.removeClient(client).catch(error => {
+        console.error(`Error releasing resource subscription: ${error.message}`);
+      });
     }
+    subscribedResources.clear();
+  };
+
+  return server;
+}
+
+// Operator routes: list, inspect, approve and reject pending operations
+//   GET  /approvals[?status=pending]
+//   GET  /approvals/:id
+//   POST /approvals/:id/approve  { operator, note }
+//   POST /approvals/:id/reject   { operator, reason }
+async function handleApprovalRoute(req, res, url) {
+  if (!config.approvals.adminToken) {
+    return sendJson(res, 503, { error: 'Approval routes are disabled: set APPROVAL_ADMIN_TOKEN' });
   }
-);
-
-// Add token balance tool
-server.tool(
-  'getTokenBalance',
-  {
-    address: z.string().min(32).max(44),
-    mintAddress: z.string().min(32).max(44)
-  },
-  async ({ address, mintAddress }) => {
-    try {
-      const tokenBalance = await solanaAPI.getTokenBalance(address, mintAddress);
-      return {
-        content: [{ type: 'text', text: JSON.stringify(tokenBalance, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in getTokenBalance: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error getting token balance: ${error.message}` }],
-        isError: true
-      };
-    }
+  if (!hasBearerToken(req, config.approvals.adminToken)) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
   }
-);
 
-// Add create wallet tool
-server.tool(
-  'createWallet',
-  {},
-  async () => {
-    try {
-      const wallet = solanaAPI.createWallet();
-      return {
-        content: [{ type: 'text', text: JSON.stringify(wallet, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in createWallet: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error creating wallet: ${error.message}` }],
-        isError: true
-      };
+  const [, , id, action] = url.pathname.split('/');
+
+  try {
+    if (req.method === 'GET' && !id) {
+      return sendJson(res, 200, { operations: await approvalQueue.list(url.searchParams.get('status')) });
     }
-  }
-);
-
-// Add PumpFun tools
-
-// Add create PumpFun token tool
-server.tool(
-  'createPumpFunToken',
-  {
-    name: z.string().min(1),
-    symbol: z.string().min(1),
-    description: z.string().optional().default(''),
-    imagePath: z.string().optional(), // Local image path
-    imageBase64: z.string().optional(), // Base64
-    twitter: z.string().optional(),
-    telegram: z.string().optional(),
-    website: z.string().optional(),
-    amount: z.string().optional().default('0.1'),
-    slippage: z.string().optional().default('10'),
-    priorityFee: z.string().optional().default('0.0005'),
-    privateKey: z.string().optional() // Optional, will use env var if not provided
-  },
-  async ({ name, symbol, description, imagePath, imageBase64, twitter, telegram, website, amount, slippage, priorityFee, privateKey }) => {
-    try {
-      console.error(`Creating PumpFun token with parameters:`);
-      console.error(`- name: ${name}`);
-      console.error(`- symbol: ${symbol}`);
-      console.error(`- description: ${description}`);
-      console.error(`- imagePath: ${imagePath || 'undefined'}`);
-      console.error(`- twitter: ${twitter || 'undefined'}`);
-      console.error(`- telegram: ${telegram || 'undefined'}`);
-      console.error(`- website: ${website || 'undefined'}`);
-      console.error(`- amount: ${amount}`);
-      console.error(`- imageBase64 provided: ${imageBase64 ? 'yes' : 'no'}`);
-      console.error(`- privateKey provided: ${privateKey ? 'yes' : 'no'}`);
-      console.error(`- Using env PUMPFUN_PRIVATE_KEY: ${!privateKey && process.env.PUMPFUN_PRIVATE_KEY ? 'yes' : 'no'}`);
-      
-      const result = await createPumpFunToken({
-        name, 
-        symbol, 
-        description,
-        imagePath,
-        imageBase64,
-        twitter,
-        telegram,
-        website,
-        amount,
-        slippage,
-        priorityFee,
-        privateKey
-      });
-      
-      return {
-        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      console.error(`Error in createPumpFunToken: ${error.message}`);
-      return {
-        content: [{ type: 'text', text: `Error creating PumpFun token: ${error.message}` }],
-        isError: true
-      };
+
+    if (req.method === 'GET' && id && !action) {
+      const operation = await approvalQueue.get(id);
+      return operation
+        ? sendJson(res, 200, operation)
+        : sendJson(res, 404, { error: `Pending operation ${id} not found` });
     }
+
+    if (req.method === 'POST' && id && (action === 'approve' || action === 'reject')) {
+      const body = await readJsonBody(req);
+      const operation = action === 'approve'
+        ? await approvalQueue.approve(id, { operator: body.operator, note: body.note })
+        : await approvalQueue.reject(id, { operator: body.operator, reason: body.reason });
+      return sendJson(res, 200, operation);
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  } catch (error) {
+    console.error(`Error handling approval route: ${error.message}`);
+    sendJson(res, error instanceof RequestBodyError ? error.status : 400, { error: error.message });
   }
-);
+}
+
+// Remote agents connect over Streamable HTTP (or SSE) when MCP_TRANSPORT=http
+const useHttpTransport = config.server.transport === 'http';
+const httpTransport = useHttpTransport ? new McpHttpTransport(createMcpServer) : null;
 
-// Create an HTTP server for monitoring and keeping the process alive
+// Create an HTTP server for monitoring, operator routes and the HTTP transport
 const httpServer = http.createServer((req, res) => {
-  if (req.url === '/health' || req.url === '/') {
+  const url = new URL(req.url, 'http://localhost');
+  
+  if (httpTransport && httpTransport.handles(url.pathname)) {
+    httpTransport.handleRequest(req, res, url);
+  } else if (url.pathname === '/approvals' || url.pathname.startsWith('/approvals/')) {
+    handleApprovalRoute(req, res, url);
+  } else if (req.url === '/health' || req.url === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'Solana MCP server is running',
       uptime: Math.floor((new Date() - serverStartTime) / 1000),
       started: serverStartTime.toISOString(),
-      solanaNetwork: solanaAPI.network,
-      solanaConnected: solanaAPI.connected
+      solanaNetwork: solanaAPI.getCluster().name,
+      solanaConnected: solanaAPI.connected,
+      transport: config.server.transport,
+      ...(httpTransport ? { sessions: httpTransport.stats() } : {}),
+      rpcPool: solanaAPI.pool.stats()
     }));
   } else if (req.url === '/metrics') {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -254,6 +250,9 @@ const httpServer = http.createServer((req, res) => {
       server_uptime_seconds ${Math.floor((new Date() - serverStartTime) / 1000)}
       server_memory_rss_bytes ${process.memoryUsage().rss}
       solana_connected ${solanaAPI.connected ? 1 : 0}
+      mcp_sessions_streamable ${httpTransport ? httpTransport.stats().streamable : 0}
+      mcp_sessions_sse ${httpTransport ? httpTransport.stats().sse : 0}
+      ${solanaAPI.pool.metrics().join('\n      ')}
     `);
   } else {
     res.writeHead(404);
@@ -261,21 +260,39 @@ const httpServer = http.createServer((req, res) => {
   }
 });
 
-// Start HTTP server and log port
-const port = config.server.port || 0; // Use random port if not specified
-httpServer.listen(port, () => {
+// Start HTTP server and log port; operators reach the approval routes here in
+// stdio mode too, so the port is fixed (MCP_SERVER_PORT, default 3000)
+const port = config.server.port;
+// Without a token the HTTP transport would serve the signing tools to anyone who can reach it
+const host = useHttpTransport && !config.server.authToken ? '127.0.0.1' : undefined;
+httpServer.on('error', (error) => {
+  // Stdio clients keep working; only monitoring and approvals are unavailable
+  console.error(`HTTP server could not listen on port ${port}: ${error.message}. Set MCP_SERVER_PORT to a free port`);
+});
+httpServer.listen(port, host, () => {
   const actualPort = httpServer.address().port;
   console.error(`HTTP server started on port ${actualPort}`);
+  if (host) {
+    console.error(`MCP_HTTP_AUTH_TOKEN is not set: listening on ${host} only`);
+  }
+  if (useHttpTransport) {
+    console.error(`MCP endpoints: http://localhost:${actualPort}/mcp (streamable HTTP), /sse (SSE)`);
+  }
+  console.error(config.approvals.adminToken
+    ? `Approval queue: http://localhost:${actualPort}/approvals`
+    : 'Approval routes are disabled: set APPROVAL_ADMIN_TOKEN');
 });
 
 // Handle process shutdown
 process.on('SIGINT', () => {
   console.error('Received SIGINT signal, shutting down gracefully');
+  httpTransport?.closeAll();
   setTimeout(() => process.exit(0), 1000);
 });
 
 process.on('SIGTERM', () => {
   console.error('Received SIGTERM signal, shutting down gracefully');
+  httpTransport?.closeAll();
   setTimeout(() => process.exit(0), 1000);
 });
 
@@ -290,14 +307,16 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit - try to keep server running
 });
 
-// Start MCP server with stdio transport
-const transport = new StdioServerTransport();
-console.error('Starting Solana MCP server...');
+// Start MCP server with stdio transport unless serving over HTTP
+if (!useHttpTransport) {
+  const transport = new StdioServerTransport();
+  console.error('Starting Solana MCP server...');
 
-// Connect server to transport
-try {
-  await server.connect(transport);
-  console.error('MCP server connected to transport');
-} catch (error) {
-  console.error(`Failed to connect MCP server: ${error.message}`);
+  // Connect server to transport
+  try {
+    await createMcpServer().connect(transport);
+    console.error('MCP server connected to transport');
+  } catch (error) {
+    console.error(`Failed to connect MCP server: ${error.message}`);
+  }
 }
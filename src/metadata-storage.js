@@ -0,0 +1,235 @@
+/**
+ * Token metadata storage
+ * Token launches upload an image and a metadata JSON file and put the JSON's
+ * URI on-chain. Where those files live is chosen with STORAGE_PROVIDER:
+ *   - pumpfun: pump.fun's IPFS endpoint, which builds the JSON itself
+ *   - ipfs: any node or service speaking the IPFS HTTP API (/api/v0/add)
+ *   - arweave: an Arweave-style uploader that takes raw bytes and returns a transaction id
+ *   - local: files on disk, served by the Express app under /storage (for tests)
+ * Providers either implement upload(metadata, image) for the whole launch, or
+ * putFile(buffer, file) returning a URI, in which case the JSON is built here.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import FormData from 'form-data';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+
+// File extensions for the content types we store
+const EXTENSIONS = {
+  'application/json': 'json',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Metadata JSON in the shape pump.fun and Metaplex wallets read
+ * @param {Object} metadata - name, symbol, description, twitter, telegram, website, showName, createdOn
+ * @param {string} [imageUri] - URI of the uploaded image
+ * @returns {Object} Metadata JSON
+ */
+function buildMetadataJson(metadata, imageUri) {
+  const json = {
+    name: metadata.name,
+    symbol: metadata.symbol,
+    description: metadata.description || '',
+    showName: String(metadata.showName ?? 'true') === 'true'
+  };
+  if (imageUri) json.image = imageUri;
+  for (const link of ['twitter', 'telegram', 'website', 'createdOn']) {
+    if (metadata[link]) json[link] = metadata[link];
+  }
+  return json;
+}
+
+/**
+ * pump.fun's IPFS endpoint: takes the metadata fields and image in one form
+ * post and returns the metadata it stored with its URI
+ */
+class PumpFunStorage {
+  constructor(options = {}) {
+    this.name = 'pumpfun';
+    this.url = options.url || config.storage.pumpfun.url;
+  }
+
+  async upload(metadata, image) {
+    const formData = new FormData();
+    formData.append('name', metadata.name);
+    formData.append('symbol', metadata.symbol);
+    for (const field of ['description', 'twitter', 'telegram', 'website']) {
+      if (metadata[field]) formData.append(field, metadata[field]);
+    }
+    formData.append('showName', metadata.showName || 'true');
+
+    if (image) {
+      formData.append('file', image.buffer, { filename: image.filename, contentType: image.mimeType });
+    }
+
+    const response = await axios.post(this.url, formData, {
+      headers: formData.getHeaders(),
+      timeout: config.storage.timeoutMs
+    });
+    if (!response.data?.metadataUri) {
+      throw new Error('pump.fun IPFS response has no metadataUri');
+    }
+    return { metadata: response.data.metadata, metadataUri: response.data.metadataUri };
+  }
+}
+
+/**
+ * IPFS HTTP API (Kubo, or a pinning service exposing /api/v0/add)
+ */
+class IpfsStorage {
+  constructor(options = {}) {
+    const settings = { ...config.storage.ipfs, ...options };
+    this.name = 'ipfs';
+    this.apiUrl = settings.apiUrl.replace(/\/+$/, '');
+    this.auth = settings.auth;
+    this.gatewayUrl = settings.gatewayUrl.replace(/\/+$/, '');
+  }
+
+  async putFile(buffer, { filename, contentType }) {
+    const formData = new FormData();
+    formData.append('file', buffer, { filename, contentType });
+
+    const response = await axios.post(`${this.apiUrl}/api/v0/add?pin=true&cid-version=1`, formData, {
+      headers: { ...formData.getHeaders(), ...(this.auth ? { Authorization: this.auth } : {}) },
+      timeout: config.storage.timeoutMs
+    });
+    if (!response.data?.Hash) {
+      throw new Error('IPFS add response has no Hash');
+    }
+    return `${this.gatewayUrl}/${response.data.Hash}`;
+  }
+}
+
+/**
+ * Arweave-style uploader: the raw bytes are posted with their content type
+ * and the service (a bundler or upload proxy) signs and pays for the
+ * transaction, answering with its id
+ */
+class ArweaveStorage {
+  constructor(options = {}) {
+    const settings = { ...config.storage.arweave, ...options };
+    if (!settings.uploadUrl) {
+      throw new Error('ARWEAVE_UPLOAD_URL is required for the arweave storage provider');
+    }
+    this.name = 'arweave';
+    this.uploadUrl = settings.uploadUrl;
+    this.token = settings.token;
+    this.gatewayUrl = settings.gatewayUrl.replace(/\/+$/, '');
+  }
+
+  async putFile(buffer, { contentType }) {
+    const response = await axios.post(this.uploadUrl, buffer, {
+      headers: {
+        'Content-Type': contentType,
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      timeout: config.storage.timeoutMs,
+      maxBodyLength: Infinity
+    });
+    if (!response.data?.id) {
+      throw new Error('Arweave upload response has no id');
+    }
+    return `${this.gatewayUrl}/${response.data.id}`;
+  }
+}
+
+/**
+ * Files on local disk, named by content hash and served over HTTP by the
+ * Express app. Meant for tests and local validators: the URIs only resolve
+ * while this server is reachable.
+ */
+class LocalStorage {
+  constructor(options = {}) {
+    const settings = { ...config.storage.local, ...options };
+    this.name = 'local';
+    this.dir = path.resolve(settings.dir);
+    this.publicUrl = settings.publicUrl.replace(/\/+$/, '');
+  }
+
+  async putFile(buffer, { filename, contentType }) {
+    const extension = EXTENSIONS[contentType] || path.extname(filename || '').slice(1) || 'bin';
+    const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}.${extension}`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, name), buffer);
+    return `${this.publicUrl}/${name}`;
+  }
+}
+
+const PROVIDERS = {
+  pumpfun: PumpFunStorage,
+  ipfs: IpfsStorage,
+  arweave: ArweaveStorage,
+  local: LocalStorage
+};
+
+/**
+ * Create a storage provider by name
+ * @param {string} name - pumpfun, ipfs, arweave or local
+ * @param {Object} [options] - Overrides for the provider's config section
+ */
+function createStorageProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown storage provider "${name}": expected ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+let defaultProvider = null;
+
+/**
+ * The provider selected by STORAGE_PROVIDER, created on first use
+ */
+function getStorageProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createStorageProvider(config.storage.provider);
+  }
+  return defaultProvider;
+}
+
+/**
+ * Upload a token's image and metadata JSON
+ * @param {Object} metadata - name, symbol, description, twitter, telegram, website, showName
+ * @param {Object} [image] - Validated image from loadTokenImage
+ * @param {Object} [provider] - Storage provider; STORAGE_PROVIDER's when omitted
+ * @returns {Promise<Object>} { metadata, metadataUri, provider }
+ */
+async function uploadTokenMetadata(metadata, image = null, provider = getStorageProvider()) {
+  try {
+    console.error(`Uploading token metadata to ${provider.name} storage...`);
+
+    if (provider.upload) {
+      const result = await provider.upload(metadata, image);
+      console.error(`Metadata URI: ${result.metadataUri}`);
+      return { ...result, provider: provider.name };
+    }
+
+    const imageUri = image
+      ? await provider.putFile(image.buffer, { filename: image.filename, contentType: image.mimeType })
+      : undefined;
+    const json = buildMetadataJson(metadata, imageUri);
+    const metadataUri = await provider.putFile(Buffer.from(JSON.stringify(json)), {
+      filename: 'metadata.json',
+      contentType: 'application/json'
+    });
+
+    console.error(`Metadata URI: ${metadataUri}`);
+    return { metadata: json, metadataUri, provider: provider.name };
+  } catch (error) {
+    console.error(`METADATA_UPLOAD ERROR: ${error.message}`);
+    if (error.response) {
+      console.error(`Response status: ${error.response.status}`);
+      console.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
+    }
+    throw new Error(`Failed to upload metadata to ${provider.name} storage: ${error.message}`);
+  }
+}
+
+export { uploadTokenMetadata, createStorageProvider, getStorageProvider, buildMetadataJson };
@@ -0,0 +1,250 @@
+/**
+ * OpenAPI document for the REST API
+ * Generated from the tool registry so the spec, the tester page in public/
+ * and the routes can never disagree about paths or parameters.
+ */
+
+import { z } from 'zod';
+import { listTools } from './tools.js';
+import { config } from './config.js';
+
+/**
+ * Unwrap optional/default/refined zod types to the underlying type
+ */
+function unwrapType(schema) {
+  let type = schema;
+  while (type instanceof z.ZodOptional || type instanceof z.ZodDefault || type instanceof z.ZodEffects) {
+    type = type instanceof z.ZodEffects ? type.innerType() : type._def.innerType;
+  }
+  return type;
+}
+
+/**
+ * Default value of a zod field, if it has one
+ */
+function defaultValue(schema) {
+  let type = schema;
+  while (type instanceof z.ZodOptional || type instanceof z.ZodEffects) {
+    type = type instanceof z.ZodEffects ? type.innerType() : type._def.innerType;
+  }
+  return type instanceof z.ZodDefault ? type._def.defaultValue() : undefined;
+}
+
+/**
+ * Convert a zod field to an OpenAPI schema object
+ * @param {ZodType} schema - Field schema
+ * @returns {Object} OpenAPI schema
+ */
+function toJsonSchema(schema) {
+  const type = unwrapType(schema);
+  const checks = type._def.checks || [];
+  const result = {};
+
+  if (type instanceof z.ZodString) {
+    result.type = 'string';
+    for (const check of checks) {
+      if (check.kind === 'min') result.minLength = check.value;
+      if (check.kind === 'max') result.maxLength = check.value;
+      if (check.kind === 'uuid') result.format = 'uuid';
+      if (check.kind === 'regex') result.pattern = check.regex.source;
+    }
+  } else if (type instanceof z.ZodNumber) {
+    result.type = checks.some(check => check.kind === 'int') ? 'integer' : 'number';
+    for (const check of checks) {
+      if (check.kind === 'min') result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+      if (check.kind === 'max') result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    }
+    // OpenAPI 3.0 expresses exclusive bounds as a flag on minimum/maximum
+    if (result.exclusiveMinimum !== undefined) {
+      result.minimum = result.exclusiveMinimum;
+      result.exclusiveMinimum = true;
+    }
+    if (result.exclusiveMaximum !== undefined) {
+      result.maximum = result.exclusiveMaximum;
+      result.exclusiveMaximum = true;
+    }
+  } else if (type instanceof z.ZodBoolean) {
+    result.type = 'boolean';
+  } else if (type instanceof z.ZodEnum) {
+    result.type = 'string';
+    result.enum = [...type.options];
+  } else if (type instanceof z.ZodUnion) {
+    result.oneOf = type.options.map(toJsonSchema);
+  } else if (type instanceof z.ZodArray) {
+    result.type = 'array';
+    result.items = toJsonSchema(type.element);
+  }
+
+  const description = schema.description || type.description;
+  if (description) result.description = description;
+  const fallback = defaultValue(schema);
+  if (fallback !== undefined) result.default = fallback;
+
+  return result;
+}
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const errorResponse = (description) => ({ description, content: jsonContent({ $ref: '#/components/schemas/Error' }) });
+
+/**
+ * Build the OpenAPI operation for a tool's REST binding
+ */
+function toolOperation(tool) {
+  const pathParams = [...tool.rest.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const parameters = [];
+  const bodyProperties = {};
+  const bodyRequired = [];
+
+  for (const [name, schema] of Object.entries(tool.schema)) {
+    if (pathParams.includes(name)) {
+      parameters.push({ name, in: 'path', required: true, schema: toJsonSchema(schema) });
+    } else if (tool.rest.method === 'get') {
+      parameters.push({ name, in: 'query', required: !schema.isOptional(), schema: toJsonSchema(schema) });
+    } else {
+      bodyProperties[name] = toJsonSchema(schema);
+      if (!schema.isOptional()) bodyRequired.push(name);
+    }
+  }
+
+  const operation = {
+    operationId: tool.name,
+    summary: tool.description,
+    tags: [tool.approval ? 'Transactions' : tool.rest.method === 'get' ? 'Queries' : 'Wallets'],
+    parameters,
+    responses: {
+      200: { description: 'Tool result', content: jsonContent({ type: 'object' }) },
+      400: errorResponse('Invalid arguments'),
+      500: errorResponse('Tool failed')
+    }
+  };
+
+  if (Object.keys(bodyProperties).length > 0) {
+    operation.requestBody = {
+      required: bodyRequired.length > 0,
+      content: jsonContent({
+        type: 'object',
+        properties: bodyProperties,
+        ...(bodyRequired.length > 0 ? { required: bodyRequired } : {})
+      })
+    };
+  }
+
+  if (tool.privileged) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = errorResponse('Missing or wrong API_AUTH_TOKEN');
+    operation.responses[503] = errorResponse('Disabled because API_AUTH_TOKEN is not set');
+  }
+
+  if (tool.approval) {
+    operation.responses[202] = {
+      description: 'Parked until an operator approves it',
+      content: jsonContent({ $ref: '#/components/schemas/PendingOperation' })
+    };
+    operation.responses[403] = {
+      description: 'Rejected by the signing policy',
+      content: jsonContent({ $ref: '#/components/schemas/PolicyRejection' })
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI 3 document for the REST API
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiSpec() {
+  const paths = {
+    '/health': {
+      get: {
+        operationId: 'health',
+        summary: 'Health check',
+        tags: ['Service'],
+        responses: { 200: { description: 'Service is up', content: jsonContent({ type: 'object' }) } }
+      }
+    },
+    '/api/tools': {
+      get: {
+        operationId: 'listTools',
+        summary: 'List tools and their REST routes',
+        tags: ['Service'],
+        responses: { 200: { description: 'Tool list', content: jsonContent({ type: 'array', items: { type: 'object' } }) } }
+      }
+    },
+    '/api/mcp/execute': {
+      post: {
+        operationId: 'executeTool',
+        summary: 'Run any tool by name with its MCP arguments',
+        tags: ['Service'],
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: listTools().map(tool => tool.name) },
+              parameters: { type: 'object' }
+            },
+            required: ['action']
+          })
+        },
+        responses: {
+          200: { description: 'Tool result', content: jsonContent({ type: 'object' }) },
+          202: { description: 'Parked until an operator approves it', content: jsonContent({ $ref: '#/components/schemas/PendingOperation' }) },
+          400: errorResponse('Invalid arguments'),
+          403: { description: 'Rejected by the signing policy', content: jsonContent({ $ref: '#/components/schemas/PolicyRejection' }) },
+          404: errorResponse('Unknown tool'),
+          500: errorResponse('Tool failed')
+        }
+      }
+    }
+  };
+
+  for (const tool of listTools().filter(tool => tool.rest)) {
+    const path = tool.rest.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [tool.rest.method]: toolOperation(tool) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Solana MCP Service',
+      version: config.server.version,
+      description: 'REST binding of the Solana MCP tools. Every operation has an MCP tool of the same name (operationId).'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API_AUTH_TOKEN' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' } }
+        },
+        PendingOperation: {
+          type: 'object',
+          properties: {
+            pending: { type: 'boolean' },
+            pendingId: { type: 'string', format: 'uuid' },
+            status: { type: 'string' },
+            summary: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            message: { type: 'string' }
+          }
+        },
+        PolicyRejection: {
+          type: 'object',
+          properties: {
+            rejected: { type: 'boolean' },
+            reason: {
+              type: 'object',
+              properties: { code: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+export { buildOpenApiSpec, toJsonSchema, unwrapType };
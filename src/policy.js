@@ -0,0 +1,300 @@
+/**
+ * Signing policy engine
+ * Every state-changing tool checks its transaction against this policy
+ * before signing. Limits come from an optional JSON policy file merged in
+ * the order default -> tools[tool] -> wallets[publicKey], with environment
+ * variables providing the defaults.
+ * A passing check reserves the SOL it allows against the daily limit, so
+ * concurrent requests cannot all pass on the same allowance; the caller
+ * commits the reservation once the transaction is sent and releases it
+ * otherwise.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { LAMPORTS_PER_SOL, VersionedTransaction } from '@solana/web3.js';
+import { config } from './config.js';
+import { GENESIS_HASHES } from './clusters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Top-level programs our own tools are expected to invoke
+const DEFAULT_ALLOWED_PROGRAMS = [
+  '11111111111111111111111111111111', // System
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb', // SPL Token-2022
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL', // Associated Token Account
+  'ComputeBudget111111111111111111111111111111', // Compute Budget
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', // Memo
+  'Stake11111111111111111111111111111111111111', // Stake
+  'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s', // Metaplex Token Metadata
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', // pump.fun bonding curve
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA', // pump.fun AMM
+  // Other pools buyPumpFunToken and sellPumpFunToken can trade on
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // Raydium CPMM
+  'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj' // Raydium LaunchLab, also used by Bonk
+];
+
+/**
+ * Raised when a transaction violates the signing policy.
+ * Carries a machine-readable code and details for MCP/HTTP clients.
+ */
+class PolicyViolationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PolicyViolationError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      rejected: true,
+      reason: {
+        code: this.code,
+        message: this.message,
+        ...this.details
+      }
+    };
+  }
+}
+
+/**
+ * Collect the top-level program ids invoked by a transaction
+ */
+function getProgramIds(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    const { staticAccountKeys, compiledInstructions } = transaction.message;
+    return compiledInstructions.map(ix => staticAccountKeys[ix.programIdIndex].toBase58());
+  }
+  return transaction.instructions.map(ix => ix.programId.toBase58());
+}
+
+/**
+ * Genesis hash a ledger entry counts against. Entries written before chains
+ * were identified by genesis hash carry the cluster name, and those written
+ * before clusters were tracked at all were mainnet.
+ */
+function entryCluster(entry) {
+  const network = entry.network || 'mainnet-beta';
+  return entry.cluster || GENESIS_HASHES[network] || network;
+}
+
+class SigningPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - Path to the JSON policy file
+   * @param {string} [options.ledgerFile] - Path to the persisted spend ledger
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(options.file || config.policy.file);
+    this.ledgerFile = path.resolve(options.ledgerFile || config.policy.ledgerFile);
+    this.rules = null;
+    this.ledger = null;
+    // id -> { tool, wallet, network, cluster, lamports, timestamp } for transactions still being sent
+    this.reservations = new Map();
+    this.nextReservationId = 1;
+  }
+
+  /**
+   * Load the policy file (once); a missing file means env defaults only
+   */
+  async loadRules() {
+    if (this.rules) return this.rules;
+
+    let fileRules = {};
+    try {
+      fileRules = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      console.error(`Loaded signing policy from ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid signing policy file ${this.file}: ${error.message}`);
+      }
+    }
+
+    this.rules = {
+      default: {
+        maxSolPerTransaction: config.policy.maxSolPerTransaction,
+        maxSolPerDay: config.policy.maxSolPerDay,
+        allowedDestinations: null,
+        deniedDestinations: [],
+        allowedPrograms: DEFAULT_ALLOWED_PROGRAMS,
+        ...fileRules.default
+      },
+      tools: fileRules.tools || {},
+      wallets: fileRules.wallets || {}
+    };
+
+    return this.rules;
+  }
+
+  /**
+   * Resolve the effective limits for a tool and signing wallet
+   */
+  async getLimits(tool, wallet) {
+    const rules = await this.loadRules();
+    return {
+      ...rules.default,
+      ...rules.tools[tool],
+      ...rules.wallets[wallet]
+    };
+  }
+
+  /**
+   * Load the spend ledger and drop entries older than the rolling window
+   */
+  async loadLedger() {
+    if (!this.ledger) {
+      try {
+        this.ledger = JSON.parse(await fs.readFile(this.ledgerFile, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Could not read spend ledger ${this.ledgerFile}: ${error.message}`);
+        }
+        this.ledger = [];
+      }
+    }
+
+    const cutoff = Date.now() - DAY_MS;
+    this.ledger = this.ledger.filter(entry => entry.timestamp > cutoff);
+    return this.ledger;
+  }
+
+  /**
+   * Lamports a wallet spent over the last 24 hours or has reserved, across
+   * all tools. The ledger must be loaded. Chains are counted separately so
+   * devnet testing does not use up the mainnet allowance; they are told
+   * apart by genesis hash, so every RPC URL of a chain shares its allowance.
+   * @param {Object} [excluded] - Reservation left out, because the caller replaces it
+   */
+  spentLamports(wallet, cluster, excluded = null) {
+    const matches = entry => entry.wallet === wallet && entryCluster(entry) === cluster;
+    const spent = this.ledger.filter(matches).reduce((total, entry) => total + entry.lamports, 0);
+    const reserved = [...this.reservations.entries()]
+      .filter(([id, entry]) => id !== excluded?.id && matches(entry))
+      .reduce((total, [, entry]) => total + entry.lamports, 0);
+    return spent + reserved;
+  }
+
+  /**
+   * SOL spent or reserved by a wallet over the last 24 hours, across all tools
+   */
+  async getSpentLastDay(wallet, cluster) {
+    await this.loadLedger();
+    return this.spentLamports(wallet, cluster) / LAMPORTS_PER_SOL;
+  }
+
+  /**
+   * Check a pending transaction against the policy and reserve the SOL it
+   * spends. Throws PolicyViolationError on the first rule that fails.
+   * @param {Object} request
+   * @param {string} request.tool - Tool name, e.g. 'transferSol'
+   * @param {string} request.wallet - Signing wallet public key
+   * @param {string} [request.network] - Name of the cluster the transaction is sent to, for the ledger
+   * @param {string} request.cluster - Genesis hash of that cluster, which keys the daily limit
+   * @param {number} [request.lamports=0] - SOL leaving the wallet, in lamports
+   * @param {string} [request.destination] - Recipient wallet, if any
+   * @param {Transaction|VersionedTransaction} [request.transaction] - Transaction whose programs to check
+   * @param {Object} [request.reservation] - Earlier reservation for the same operation, replaced by this one
+   * @returns {Promise<Object|null>} Reservation to commit or release, or null when nothing is spent
+   */
+  async check({ tool, wallet, network, cluster, lamports = 0, destination, transaction, reservation = null }) {
+    const limits = await this.getLimits(tool, wallet);
+    await this.loadLedger();
+    // Nothing below awaits, so no other check can pass between reading the
+    // spend and reserving it
+    const sol = lamports / LAMPORTS_PER_SOL;
+    const context = { tool, wallet };
+
+    if (limits.maxSolPerTransaction != null && sol > limits.maxSolPerTransaction) {
+      throw new PolicyViolationError(
+        'MAX_SOL_PER_TRANSACTION_EXCEEDED',
+        `Transaction moves ${sol} SOL, above the limit of ${limits.maxSolPerTransaction} SOL per transaction`,
+        { ...context, limit: limits.maxSolPerTransaction, attempted: sol }
+      );
+    }
+
+    if (limits.maxSolPerDay != null && sol > 0) {
+      const spent = this.spentLamports(wallet, cluster, reservation) / LAMPORTS_PER_SOL;
+      if (spent + sol > limits.maxSolPerDay) {
+        throw new PolicyViolationError(
+          'DAILY_SOL_LIMIT_EXCEEDED',
+          `Wallet has spent ${spent} SOL in the last 24h; ${sol} SOL more would exceed the daily limit of ${limits.maxSolPerDay} SOL`,
+          { ...context, limit: limits.maxSolPerDay, spentLast24h: spent, attempted: sol }
+        );
+      }
+    }
+
+    if (destination) {
+      if ((limits.deniedDestinations || []).includes(destination)) {
+        throw new PolicyViolationError(
+          'DESTINATION_DENIED',
+          `Destination ${destination} is on the denylist`,
+          { ...context, destination }
+        );
+      }
+
+      if (Array.isArray(limits.allowedDestinations) && !limits.allowedDestinations.includes(destination)) {
+        throw new PolicyViolationError(
+          'DESTINATION_NOT_ALLOWED',
+          `Destination ${destination} is not on the allowlist`,
+          { ...context, destination }
+        );
+      }
+    }
+
+    if (transaction && Array.isArray(limits.allowedPrograms)) {
+      const disallowed = [...new Set(getProgramIds(transaction))]
+        .filter(programId => !limits.allowedPrograms.includes(programId));
+      if (disallowed.length > 0) {
+        throw new PolicyViolationError(
+          'PROGRAM_NOT_ALLOWED',
+          `Transaction invokes programs outside the allowlist: ${disallowed.join(', ')}`,
+          { ...context, programs: disallowed }
+        );
+      }
+    }
+
+    this.releaseSpend(reservation);
+    if (!lamports) return null;
+
+    const id = this.nextReservationId++;
+    this.reservations.set(id, { tool, wallet, network, cluster, lamports, timestamp: Date.now() });
+    return { id, lamports };
+  }
+
+  /**
+   * Drop a reservation whose transaction was not sent, or was simulated only.
+   * Releasing a committed or missing reservation does nothing.
+   */
+  releaseSpend(reservation) {
+    if (reservation) this.reservations.delete(reservation.id);
+  }
+
+  /**
+   * Turn a reservation into spend recorded for the rolling daily limit, once
+   * its transaction has been sent
+   * @param {Object|null} reservation - Reservation returned by check
+   * @param {string} signature - Signature of the sent transaction
+   */
+  async commitSpend(reservation, signature) {
+    const entry = reservation ? this.reservations.get(reservation.id) : null;
+    if (!entry) return;
+
+    // The ledger was loaded by check; move the entry across without awaiting
+    this.reservations.delete(reservation.id);
+    this.ledger.push({ ...entry, signature, timestamp: Date.now() });
+
+    try {
+      await fs.writeFile(this.ledgerFile, JSON.stringify(this.ledger, null, 2));
+    } catch (error) {
+      console.error(`Could not persist spend ledger ${this.ledgerFile}: ${error.message}`);
+    }
+  }
+}
+
+// Shared policy configured from the environment
+export const signingPolicy = new SigningPolicy();
+
+export { SigningPolicy, PolicyViolationError };
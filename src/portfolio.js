@@ -0,0 +1,105 @@
+/**
+ * Wallet portfolio snapshot
+ * SOL balance plus every SPL Token and Token-2022 holding of a wallet,
+ * aggregated per mint and labelled with on-chain token metadata.
+ */
+
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import * as splToken from '@solana/spl-token';
+import { fromBaseUnits } from './token-utils.js';
+import { fetchTokenMetadata } from './token-metadata.js';
+
+/**
+ * Build a portfolio snapshot for a wallet
+ * @param {Connection} connection - Solana connection
+ * @param {string} address - Wallet address
+ * @param {Object} [options]
+ * @param {boolean} [options.hideZeroBalances=false] - Drop empty token accounts
+ * @param {number} [options.dustThreshold=0] - Drop holdings whose UI amount is below this
+ * @param {boolean} [options.includeMetadata=true] - Look up name, symbol and uri per mint
+ * @returns {Promise<Object>} SOL balance and token holdings
+ */
+async function fetchPortfolio(connection, address, options = {}) {
+  const { hideZeroBalances = false, dustThreshold = 0, includeMetadata = true } = options;
+  const owner = new PublicKey(address);
+
+  const [lamports, tokenAccounts, token2022Accounts] = await Promise.all([
+    connection.getBalance(owner),
+    connection.getParsedTokenAccountsByOwner(owner, { programId: splToken.TOKEN_PROGRAM_ID }),
+    connection.getParsedTokenAccountsByOwner(owner, { programId: splToken.TOKEN_2022_PROGRAM_ID })
+  ]);
+
+  // A wallet can hold several accounts for one mint; report one holding per mint
+  const holdings = new Map();
+  const collect = (accounts, program) => {
+    for (const { pubkey, account } of accounts.value) {
+      const { mint, tokenAmount } = account.data.parsed.info;
+      const holding = holdings.get(mint) || {
+        mint,
+        program,
+        decimals: tokenAmount.decimals,
+        rawAmount: 0n,
+        accounts: []
+      };
+      holding.rawAmount += BigInt(tokenAmount.amount);
+      holding.accounts.push(pubkey.toBase58());
+      holdings.set(mint, holding);
+    }
+  };
+  collect(tokenAccounts, 'token');
+  collect(token2022Accounts, 'token-2022');
+
+  const tokens = [];
+  let hiddenCount = 0;
+  for (const holding of holdings.values()) {
+    const uiAmountString = fromBaseUnits(holding.rawAmount, holding.decimals);
+    const uiAmount = Number(uiAmountString);
+
+    if ((hideZeroBalances && holding.rawAmount === 0n) || (dustThreshold > 0 && uiAmount < dustThreshold)) {
+      hiddenCount++;
+      continue;
+    }
+
+    tokens.push({
+      mint: holding.mint,
+      program: holding.program,
+      decimals: holding.decimals,
+      amount: holding.rawAmount.toString(),
+      uiAmount,
+      uiAmountString,
+      accounts: holding.accounts,
+      name: null,
+      symbol: null,
+      uri: null,
+      metadataSource: null
+    });
+  }
+
+  if (includeMetadata && tokens.length > 0) {
+    const metadata = await fetchTokenMetadata(connection, tokens.map(token => token.mint));
+    for (const token of tokens) {
+      const tokenMetadata = metadata.get(token.mint);
+      if (tokenMetadata) {
+        token.name = tokenMetadata.name;
+        token.symbol = tokenMetadata.symbol;
+        token.uri = tokenMetadata.uri;
+        token.metadataSource = tokenMetadata.source;
+      }
+    }
+  }
+
+  tokens.sort((a, b) => b.uiAmount - a.uiAmount);
+
+  return {
+    address,
+    sol: {
+      lamports,
+      balance: lamports / LAMPORTS_PER_SOL
+    },
+    tokens,
+    tokenCount: tokens.length,
+    hiddenCount
+  };
+}
+
+export { fetchPortfolio };
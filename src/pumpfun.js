@@ -5,14 +5,25 @@
 
 // Import required libraries
 import axios from 'axios';
-import { Connection, Keypair, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey, Transaction, VersionedTransaction, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
 import bs58 from 'bs58';
-import FormData from 'form-data';
 import fs from 'fs/promises';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import https from 'https'; // Import https for SSL Agent
+import { config } from './config.js';
+import { simulateTransaction } from './simulation.js';
+import { fromBaseUnits } from './token-utils.js';
+import { keystore } from './keystore.js';
+import { loadTokenImage, validateImage } from './token-image.js';
+import { uploadTokenMetadata } from './metadata-storage.js';
+import { sendAndConfirm, assertNotFailed } from './sender.js';
+import { FEE_LEVELS, estimatePriorityFees, priorityFeeSol, getFeePaid } from './fees.js';
+import { getBondingCurveAddress, PUMP_PROGRAM_ID } from './bonding-curve.js';
+import { signingPolicy, PolicyViolationError } from './policy.js';
+import { GENESIS_HASHES, resolveNetwork } from './clusters.js';
+import { solanaAPI } from './solana-api.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,123 +39,157 @@ console.error(`PUMPFUN_PRIVATE_KEY length: ${process.env.PUMPFUN_PRIVATE_KEY ? p
 console.error(`HELIUS_RPC_URL exists: ${process.env.HELIUS_RPC_URL ? 'YES' : 'NO'}`);
 
 // Constants
-const IPFS_API_URL = 'https://pump.fun/api/ipfs';
 const TRADE_LOCAL_API_URL = 'https://pumpportal.fun/api/trade-local';
+// Compute units PumpPortal transactions typically use, to turn a unit price into a total fee
+const PUMP_COMPUTE_UNITS = { create: 250000, trade: 150000 };
+// pump.fun fee account written by every buy and sell
+const PUMP_FEE_RECIPIENT = 'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM';
+// Signature fee, used when the node cannot price a message
+const BASE_FEE_LAMPORTS = 5000;
+
+// Placeholder art for tokens launched without an image
+const DEFAULT_IMAGE_PATH = path.resolve(__dirname, '..', 'example/basic/random.png');
+
+// Pools PumpPortal can route a trade through; 'auto' picks the one holding liquidity
+const TRADE_POOLS = ['pump', 'pump-amm', 'raydium', 'raydium-cpmm', 'launchlab', 'bonk', 'auto'];
 
 /**
- * Uploads token metadata and image to IPFS using Pump.fun API
- * @param {Object} metadata - Token metadata
- * @param {string} metadata.name - Token name
- * @param {string} metadata.symbol - Token symbol
- * @param {string} [metadata.description] - Token description
- * @param {string} [metadata.twitter] - Twitter link
- * @param {string} [metadata.telegram] - Telegram link
- * @param {string} [metadata.website] - Website link
- * @param {string} [metadata.showName] - Whether to show name
- * @param {string} [imagePath] - Path to token image
- * @returns {Promise<Object>} - IPFS metadata response
+ * Use the requested keystore wallet, or fall back to the server's PumpFun key
+ * @param {string} [wallet] - Keystore label or public key
+ * @returns {Promise<Keypair>} Signing keypair
  */
-async function uploadToIPFS(metadata, imagePath = null) {
-  try {
-    console.error('Uploading token metadata and image to IPFS...');
-    
-    const formData = new FormData();
-    
-    // Add metadata fields
-    formData.append('name', metadata.name);
-    formData.append('symbol', metadata.symbol);
-    
-    if (metadata.description) {
-      formData.append('description', metadata.description);
-    }
-    
-    if (metadata.twitter) {
-      formData.append('twitter', metadata.twitter);
-    }
-    
-    if (metadata.telegram) {
-      formData.append('telegram', metadata.telegram);
-    }
-    
-    if (metadata.website) {
-      formData.append('website', metadata.website);
-    }
-    
-    formData.append('showName', metadata.showName || 'true');
-    
-    // Add image if provided - EXACTLY LIKE THE WORKING TEST SCRIPT
-    if (imagePath) {
-      try {
-        console.error(`Reading image from: ${imagePath}`);
-        const imageBuffer = await fs.readFile(imagePath);
-        formData.append('file', imageBuffer, { filename: path.basename(imagePath) });
-        console.error(`Image added from: ${imagePath}`);
-      } catch (fileError) {
-        console.error(`Failed to read image file: ${fileError.message}`);
-        throw new Error(`Failed to read image file: ${fileError.message}`);
-      }
-    } else {
-      console.error('Warning: No image provided, token will be created without an image');
-    }
-    
-    // Make API request to IPFS - with SSL verification disabled for testing
-    console.error(`Sending request to IPFS API: ${IPFS_API_URL}`);
-    const httpsAgent = new https.Agent({ rejectUnauthorized: false });
-    const response = await axios.post(IPFS_API_URL, formData, {
-      headers: formData.getHeaders(),
-      httpsAgent: httpsAgent, // Disable SSL certificate verification
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`IPFS upload failed with status: ${response.status}`);
-    }
-    
-    console.error('IPFS upload successful');
-    console.error(`Metadata URI: ${response.data.metadataUri}`);
-    
-    return response.data;
-  } catch (error) {
-    console.error(`IPFS_UPLOAD ERROR: ${error.message}`);
-    if (error.response) {
-      console.error(`Response status: ${error.response.status}`);
-      console.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
-    }
-    throw new Error(`Failed to upload to IPFS: ${error.message}`);
+async function getSigner(wallet) {
+  if (wallet) {
+    return keystore.getKeypair(wallet);
+  }
+  if (process.env.PUMPFUN_PRIVATE_KEY) {
+    return Keypair.fromSecretKey(bs58.decode(process.env.PUMPFUN_PRIVATE_KEY));
   }
+  throw new Error('No wallet provided and PUMPFUN_PRIVATE_KEY not found in environment');
+}
+
+/**
+ * Connection for pump.fun transactions (mainnet only): the mainnet RPC pool,
+ * or a standalone connection when an explicit, configured RPC URL is given
+ */
+function getConnection(rpcUrl) {
+  if (rpcUrl) {
+    // Throws unless the URL is configured, like any network argument
+    resolveNetwork(rpcUrl);
+    return new Connection(rpcUrl, 'confirmed');
+  }
+  return solanaAPI.getCluster('mainnet-beta').connection;
+}
+
+/**
+ * PumpPortal takes the priority fee as a SOL amount: a number is used as is,
+ * a preset (low, medium, high) is priced from recent fees on the accounts written
+ * @param {Connection} connection - Solana connection
+ * @param {number|string} priorityFee - SOL amount or preset
+ * @param {Array<PublicKey|string>} accounts - Writable accounts of the transaction
+ * @param {number} computeUnits - Expected compute units
+ * @returns {Promise<number>} Priority fee in SOL
+ */
+async function resolvePriorityFee(connection, priorityFee, accounts, computeUnits) {
+  if (typeof priorityFee === 'number') return priorityFee;
+  const level = priorityFee || config.fees.defaultLevel;
+  const estimate = await estimatePriorityFees(connection, accounts);
+  const fee = priorityFeeSol(estimate[level], computeUnits);
+  console.error(`Priority fee (${level}): ${fee} SOL`);
+  return fee;
+}
+
+/**
+ * Simulate a PumpPortal transaction before it is signed and measure the SOL
+ * it takes from the wallet, fees and rent included. PumpPortal builds these
+ * transactions, so the signing policy checks what they do, not what was asked for.
+ * @param {Connection} connection - Solana connection
+ * @param {VersionedTransaction} tx - Unsigned transaction
+ * @param {string} wallet - Signing wallet public key
+ * @returns {Promise<Object>} { simulation, lamports }; lamports is the wallet's net
+ *   SOL outflow, or null when the simulation failed
+ */
+async function measureWalletSpend(connection, tx, wallet) {
+  const simulation = await simulateTransaction(connection, tx, { commitment: 'confirmed', sigVerify: false });
+  if (!simulation.success) {
+    return { simulation, lamports: null };
+  }
+  const change = simulation.balanceChanges.find(balance => balance.account === wallet);
+  return { simulation, lamports: change ? Math.max(0, -change.deltaLamports) : 0 };
+}
+
+/**
+ * Check that a launch created its mint and bonding curve
+ * @returns {Promise<Object>} { mint, bondingCurve } existence flags
+ */
+async function verifyLaunch(connection, mint) {
+  const [mintAccount, curveAccount] = await connection.getMultipleAccountsInfo(
+    [mint, getBondingCurveAddress(mint)],
+    'confirmed'
+  );
+  return {
+    mint: Boolean(mintAccount) && (mintAccount.owner.equals(TOKEN_PROGRAM_ID) || mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID)),
+    bondingCurve: Boolean(curveAccount) && curveAccount.owner.equals(PUMP_PROGRAM_ID)
+  };
 }
 
 /**
  * Creates a token using PumpPortal API
  * @param {Object} options - Token creation options
  * @param {Object} options.metadata - Token metadata
- * @param {string} options.privateKey - Wallet private key in base58
- * @param {string} options.imagePath - Path to token image
+ * @param {Keypair} options.signer - Wallet keypair paying for and signing the launch
+ * @param {Object} options.image - Validated token image
  * @param {number} options.amount - Amount of SOL for dev buy
  * @param {number} [options.slippage=10] - Slippage percentage
- * @param {number} [options.priorityFee=0.0005] - Priority fee in SOL
- * @param {string} [options.rpcUrl] - Custom RPC URL
- * @returns {Promise<Object>} - Creation response
+ * @param {number|string} [options.priorityFee] - Priority fee in SOL, or 'low', 'medium' or 'high'
+ * @param {string} [options.rpcUrl] - Configured RPC URL to use instead of the mainnet pool
+ * @param {boolean} [options.simulate=false] - Simulate the signed transaction instead of sending it
+ * @param {string} [options.commitment='confirmed'] - Wait for 'confirmed' or 'finalized'
+ * @returns {Promise<Object>} - Creation response with status submitted, confirmed, finalized or failed
  */
 async function createToken(options) {
+  let reservation = null;
   try {
     console.error('Creating token using Local Transaction method...');
     
-    // Create wallet from private key
-    const signerKeyPair = Keypair.fromSecretKey(bs58.decode(options.privateKey));
+    const signerKeyPair = options.signer;
     console.error(`Using wallet: ${signerKeyPair.publicKey.toString()}`);
     
+    // Setup Solana connection
+    const connection = getConnection(options.rpcUrl);
+    const priorityFee = await resolvePriorityFee(
+      connection,
+      options.priorityFee,
+      [signerKeyPair.publicKey, PUMP_FEE_RECIPIENT],
+      PUMP_COMPUTE_UNITS.create
+    );
+    
+    // Dev buy plus priority fee is the SOL this launch spends
+    const spendLamports = Math.round(((options.amount || 0.1) + priorityFee) * LAMPORTS_PER_SOL);
+    const policyRequest = {
+      tool: 'createPumpFunToken',
+      wallet: signerKeyPair.publicKey.toString(),
+      // pump.fun only runs on mainnet
+      network: 'mainnet-beta',
+      cluster: GENESIS_HASHES['mainnet-beta'],
+      lamports: spendLamports
+    };
+    
+    // Check spending limits before uploading anything
+    reservation = await signingPolicy.check(policyRequest);
+    
     // Generate a new keypair for the token mint
     const mintKeypair = Keypair.generate();
     console.error(`Generated mint address: ${mintKeypair.publicKey.toString()}`);
     
-    // Upload metadata and image to IPFS
-    const ipfsResponse = await uploadToIPFS(options.metadata, options.imagePath);
+    // Upload metadata and image to the configured storage provider
+    const upload = await uploadTokenMetadata(options.metadata, options.image);
     
     // Prepare token metadata
     const tokenMetadata = {
-      name: ipfsResponse.metadata.name,
-      symbol: ipfsResponse.metadata.symbol,
-      uri: ipfsResponse.metadataUri
+      name: upload.metadata.name,
+      symbol: upload.metadata.symbol,
+      uri: upload.metadataUri
     };
     
     // Prepare request payload
@@ -156,7 +201,7 @@ async function createToken(options) {
       denominatedInSol: 'true',
       amount: options.amount || 0.1,
       slippage: options.slippage || 10,
-      priorityFee: options.priorityFee || 0.0005,
+      priorityFee,
       pool: 'pump'
     };
     
@@ -173,30 +218,79 @@ async function createToken(options) {
       throw new Error(`Transaction creation failed with status: ${response.status}`);
     }
     
-    // Setup Solana connection
-    const rpcUrl = options.rpcUrl || process.env.HELIUS_RPC_URL;
-    console.error(`Using RPC URL: ${rpcUrl}`);
-    const connection = new Connection(rpcUrl, 'confirmed');
-    
-    // Deserialize and sign transaction
+    // Deserialize and simulate, then check the programs it invokes and the SOL
+    // it actually takes from the wallet against the policy before signing
     const tx = VersionedTransaction.deserialize(new Uint8Array(response.data));
+    const { simulation, lamports } = await measureWalletSpend(connection, tx, policyRequest.wallet);
+    if (lamports !== null) {
+      policyRequest.lamports = lamports;
+    } else if (!options.simulate) {
+      throw new Error(`Launch transaction failed simulation: ${JSON.stringify(simulation.error)}`);
+    }
+    reservation = await signingPolicy.check({ ...policyRequest, transaction: tx, reservation });
+    
+    // Preview only: metadata is already uploaded, but nothing is signed or sent on-chain
+    if (options.simulate) {
+      return {
+        ...simulation,
+        token: mintKeypair.publicKey.toString(),
+        metadataUri: upload.metadataUri
+      };
+    }
+    
     tx.sign([mintKeypair, signerKeyPair]);
     
-    // Send signed transaction
+    // Send, rebroadcasting until it lands or its blockhash expires
     console.error('Sending signed transaction to Solana network...');
-    const signature = await connection.sendTransaction(tx);
+    const outcome = await sendAndConfirm(connection, tx, { commitment: options.commitment });
+    const token = mintKeypair.publicKey.toString();
     
-    console.error('Token creation transaction submitted!');
-    console.error(`Transaction: https://solscan.io/tx/${signature}`);
+    if (outcome.status === 'failed' || outcome.status === 'expired') {
+      return {
+        success: false,
+        status: outcome.status,
+        transaction: outcome.signature,
+        token,
+        error: `Token creation failed: ${outcome.error.message}`,
+        details: outcome.error
+      };
+    }
+    
+    console.error(`Token creation transaction ${outcome.status}: https://solscan.io/tx/${outcome.signature}`);
+    await signingPolicy.commitSpend(reservation, outcome.signature);
+    
+    const result = {
+      status: outcome.status,
+      transaction: outcome.signature,
+      token,
+      tokenUrl: `https://pump.fun/${token}`,
+      metadataUri: upload.metadataUri,
+      slot: outcome.slot,
+      resubmissions: outcome.resubmissions,
+      priorityFee
+    };
     
+    // Still pending when we stopped waiting: the caller can check the signature later
+    if (outcome.status === 'submitted') {
+      return { ...result, success: false, message: 'Transaction sent but not confirmed yet; check it with getTransaction' };
+    }
+    
+    // A confirmed launch must have left a mint and a bonding curve behind
+    const [verified, feePaid] = await Promise.all([
+      verifyLaunch(connection, mintKeypair.publicKey),
+      getFeePaid(connection, outcome.signature)
+    ]);
     return {
-      success: true,
-      transaction: signature,
-      token: mintKeypair.publicKey.toString(),
-      tokenUrl: `https://pump.fun/${mintKeypair.publicKey.toString()}`
+      ...result,
+      feePaid,
+      success: verified.mint && verified.bondingCurve,
+      verified,
+      ...(verified.mint && verified.bondingCurve ? {} : { error: 'Transaction confirmed but the mint or bonding curve was not found on-chain' })
     };
   } catch (error) {
     console.error(`CREATE_TOKEN_ERROR: ${error.message}`);
+    // Policy rejections are passed through so clients get the structured reason
+    if (error instanceof PolicyViolationError) throw error;
     if (error.response) {
       console.error(`Response status: ${error.response.status}`);
       console.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
@@ -206,6 +300,9 @@ async function createToken(options) {
       error: error.message,
       details: error.response?.data
     };
+  } finally {
+    // Only a sent launch keeps its reservation, as recorded spend
+    signingPolicy.releaseSpend(reservation);
   }
 }
 
@@ -227,21 +324,17 @@ async function createPumpFunToken(params) {
       throw new Error('Missing required parameters: name and symbol must be provided');
     }
     
-    // Use provided privateKey or fall back to environment variable or hardcoded key (for testing)
-    // Direct hardcoded key - ONLY FOR TESTING
-    const hardcodedKey = 'your private key';
-    const privateKey = params.privateKey || process.env.PUMPFUN_PRIVATE_KEY || hardcodedKey;
-    console.error(`Final privateKey check: ${privateKey ? 'Found key, length: ' + privateKey.length : 'No key found'}`);
+    const signer = await getSigner(params.wallet);
+    console.error(`Using signer wallet: ${signer.publicKey.toString()}`);
     
-    if (!privateKey) {
-      throw new Error('No private key provided and PUMPFUN_PRIVATE_KEY not found in environment');
+    // Validate the image before anything is uploaded; fall back to the placeholder art
+    let image = await loadTokenImage(params);
+    if (!image) {
+      const buffer = await fs.readFile(DEFAULT_IMAGE_PATH);
+      image = { buffer, filename: path.basename(DEFAULT_IMAGE_PATH), ...validateImage(buffer, DEFAULT_IMAGE_PATH) };
+      console.error(`No image provided, using default image: ${DEFAULT_IMAGE_PATH}`);
     }
     
-    // SIMPLIFIED IMAGE PATH HANDLING - EXACT SAME WAY AS TEST SCRIPT
-    // Always use a fixed path to a known working image
-    const DEFAULT_IMAGE_PATH = path.resolve(__dirname, '..', 'example/basic/random.png');
-    console.error(`Using default image path: ${DEFAULT_IMAGE_PATH}`);
-    
     // Call the token creation function with parameters
     const result = await createToken({
       metadata: {
@@ -251,14 +344,17 @@ async function createPumpFunToken(params) {
         website: params.website || '',
         twitter: params.twitter || '',
         telegram: params.telegram || '',
-        showName: 'true'
+        showName: 'true',
+        createdOn: 'https://pump.fun'
       },
-      privateKey,
-      imagePath: DEFAULT_IMAGE_PATH, // Always use the default image path
+      signer,
+      image,
       amount: parseFloat(params.amount) || 0.1,
       slippage: parseInt(params.slippage) || 10,
-      priorityFee: parseFloat(params.priorityFee) || 0.0005,
-      rpcUrl: params.rpcUrl || process.env.HELIUS_RPC_URL || your rpc url
+      priorityFee: FEE_LEVELS.includes(params.priorityFee) ? params.priorityFee : (parseFloat(params.priorityFee) || 0.0005),
+      rpcUrl: params.rpcUrl,
+      simulate: params.simulate === true,
+      commitment: params.commitment
     });
     
     return result;
@@ -268,4 +364,216 @@ async function createPumpFunToken(params) {
   }
 }
 
-export { createPumpFunToken };
+/**
+ * SOL and token balances of a wallet after a trade
+ */
+async function getTradeBalances(connection, owner, mint) {
+  const [lamports, tokenAccounts] = await Promise.all([
+    connection.getBalance(owner, 'confirmed'),
+    connection.getParsedTokenAccountsByOwner(owner, { mint }, 'confirmed')
+  ]);
+
+  // A wallet can hold the token in more than one account
+  let rawAmount = 0n;
+  let decimals = null;
+  for (const { account } of tokenAccounts.value) {
+    const { tokenAmount } = account.data.parsed.info;
+    rawAmount += BigInt(tokenAmount.amount);
+    decimals = tokenAmount.decimals;
+  }
+
+  return {
+    solBalance: lamports / LAMPORTS_PER_SOL,
+    tokenBalance: {
+      amount: rawAmount.toString(),
+      decimals,
+      uiAmountString: decimals === null ? '0' : fromBaseUnits(rawAmount, decimals)
+    }
+  };
+}
+
+/**
+ * Buys or sells a pump.fun token with a PumpPortal local transaction:
+ * PumpPortal builds the transaction, we simulate it and check it against the
+ * signing policy, sign it locally and send it through our own RPC.
+ * @param {Object} options - Trade options
+ * @param {string} options.action - 'buy' or 'sell'
+ * @param {string} options.mint - Token mint address
+ * @param {number|string} options.amount - SOL or token amount, or a percentage of the balance like '100%' (sells)
+ * @param {boolean} options.denominatedInSol - Whether amount is in SOL rather than tokens
+ * @param {Keypair} options.signer - Wallet keypair trading and signing
+ * @param {number} [options.slippage=10] - Slippage percentage
+ * @param {number|string} [options.priorityFee] - Priority fee in SOL, or 'low', 'medium' or 'high'
+ * @param {string} [options.pool='auto'] - Pool to trade on
+ * @param {string} [options.rpcUrl] - Configured RPC URL to use instead of the mainnet pool
+ * @param {boolean} [options.simulate=false] - Simulate the signed transaction instead of sending it
+ * @returns {Promise<Object>} - Signature and resulting balances
+ */
+async function tradeToken(options) {
+  const { action, mint, amount, denominatedInSol, signer } = options;
+  const tool = action === 'buy' ? 'buyPumpFunToken' : 'sellPumpFunToken';
+  const slippage = options.slippage ?? 10;
+  const wallet = signer.publicKey.toString();
+  const connection = getConnection(options.rpcUrl);
+  const priorityFee = await resolvePriorityFee(
+    connection,
+    options.priorityFee,
+    [getBondingCurveAddress(new PublicKey(mint)), PUMP_FEE_RECIPIENT],
+    PUMP_COMPUTE_UNITS.trade
+  );
+
+  console.error(`${action === 'buy' ? 'Buying' : 'Selling'} ${amount}${denominatedInSol ? ' SOL of' : ''} ${mint} from ${wallet}`);
+
+  const payload = {
+    publicKey: wallet,
+    action,
+    mint,
+    amount,
+    denominatedInSol: denominatedInSol ? 'true' : 'false',
+    slippage,
+    priorityFee,
+    pool: options.pool || 'auto'
+  };
+
+  const response = await axios.post(TRADE_LOCAL_API_URL, payload, {
+    headers: { 'Content-Type': 'application/json' },
+    responseType: 'arraybuffer'
+  });
+
+  if (response.status !== 200) {
+    throw new Error(`Trade transaction creation failed with status: ${response.status}`);
+  }
+
+  const tx = VersionedTransaction.deserialize(new Uint8Array(response.data));
+
+  // SOL leaving the wallet as requested: the amount plus priority fee for
+  // SOL-denominated buys, only the priority fee otherwise
+  const priorityLamports = Math.round(priorityFee * LAMPORTS_PER_SOL);
+  const policyRequest = {
+    tool,
+    wallet,
+    network: 'mainnet-beta',
+    cluster: GENESIS_HASHES['mainnet-beta'],
+    lamports: Math.round((action === 'buy' && denominatedInSol ? amount : 0) * LAMPORTS_PER_SOL) + priorityLamports
+  };
+  let reservation = await signingPolicy.check({ ...policyRequest, transaction: tx });
+  try {
+    // Check the limits again with what the transaction actually takes from the wallet
+    const { simulation, lamports } = await measureWalletSpend(connection, tx, wallet);
+    if (lamports !== null) {
+      // A sell receives SOL, so anything leaving the wallet beyond fees is not part of the trade.
+      // The node's fee for the message includes the priority fee
+      const fees = simulation.fee.lamports ?? BASE_FEE_LAMPORTS + priorityLamports;
+      if (action === 'sell' && lamports > fees) {
+        throw new PolicyViolationError(
+          'UNEXPECTED_SOL_OUTFLOW',
+          `Sell transaction takes ${lamports / LAMPORTS_PER_SOL} SOL from the wallet, more than its fees of ${fees / LAMPORTS_PER_SOL} SOL`,
+          { tool, wallet, attempted: lamports / LAMPORTS_PER_SOL, fees: fees / LAMPORTS_PER_SOL }
+        );
+      }
+      policyRequest.lamports = lamports;
+      reservation = await signingPolicy.check({ ...policyRequest, transaction: tx, reservation });
+    } else if (!options.simulate) {
+      throw new Error(`Trade transaction failed simulation: ${JSON.stringify(simulation.error)}`);
+    }
+
+    // Preview only: report what the trade would do without signing or sending it
+    if (options.simulate) {
+      return { ...simulation, action, mint, wallet, amount, denominatedInSol, pool: payload.pool, priorityFee };
+    }
+
+    tx.sign([signer]);
+
+    // Send, rebroadcasting until it lands or its blockhash expires
+    const outcome = await sendAndConfirm(connection, tx);
+    assertNotFailed(outcome);
+    const { signature } = outcome;
+    console.error(`Trade transaction ${outcome.status}: https://solscan.io/tx/${signature}`);
+
+    await signingPolicy.commitSpend(reservation, signature);
+
+    // Still pending when we stopped waiting: the caller can check the signature later
+    if (outcome.status === 'submitted') {
+      return {
+        success: false,
+        status: 'submitted',
+        signature,
+        action,
+        mint,
+        wallet,
+        message: 'Transaction sent but not confirmed yet; check it with getTransaction'
+      };
+    }
+
+    return {
+      success: true,
+      status: outcome.status,
+      signature,
+      slot: outcome.slot,
+      resubmissions: outcome.resubmissions,
+      action,
+      mint,
+      wallet,
+      amount,
+      denominatedInSol,
+      pool: payload.pool,
+      priorityFee,
+      feePaid: await getFeePaid(connection, signature),
+      ...await getTradeBalances(connection, signer.publicKey, new PublicKey(mint))
+    };
+  } finally {
+    // Only a sent trade keeps its reservation, as recorded spend
+    signingPolicy.releaseSpend(reservation);
+  }
+}
+
+/**
+ * MCP-compatible function to buy a Pump.fun token
+ * @param {Object} params - Trade parameters
+ * @param {string} params.mint - Token mint address
+ * @param {number} params.amount - SOL to spend, or tokens to buy when denominatedInSol is false
+ * @returns {Promise<Object>} - Signature and resulting balances
+ */
+async function buyPumpFunToken(params) {
+  try {
+    const signer = await getSigner(params.wallet);
+    return await tradeToken({
+      ...params,
+      action: 'buy',
+      denominatedInSol: params.denominatedInSol !== false,
+      signer
+    });
+  } catch (error) {
+    console.error(`BUY_TOKEN_ERROR: ${error.message}`);
+    if (error instanceof PolicyViolationError) throw error;
+    throw new Error(`Failed to buy token: ${error.message}`);
+  }
+}
+
+/**
+ * MCP-compatible function to sell a Pump.fun token
+ * @param {Object} params - Trade parameters
+ * @param {string} params.mint - Token mint address
+ * @param {number|string} params.amount - Tokens to sell, SOL to receive when denominatedInSol is true, or a percentage like '100%'
+ * @returns {Promise<Object>} - Signature and resulting balances
+ */
+async function sellPumpFunToken(params) {
+  try {
+    if (typeof params.amount === 'string' && params.denominatedInSol) {
+      throw new Error('Percentage amounts are a share of the token balance; set denominatedInSol to false');
+    }
+    const signer = await getSigner(params.wallet);
+    return await tradeToken({
+      ...params,
+      action: 'sell',
+      denominatedInSol: params.denominatedInSol === true,
+      signer
+    });
+  } catch (error) {
+    console.error(`SELL_TOKEN_ERROR: ${error.message}`);
+    if (error instanceof PolicyViolationError) throw error;
+    throw new Error(`Failed to sell token: ${error.message}`);
+  }
+}
+
+export { createPumpFunToken, buyPumpFunToken, sellPumpFunToken, TRADE_POOLS };
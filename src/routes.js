@@ -1,152 +1,154 @@
 /**
  * API routes for Solana MCP service
+ * Every tool in the registry that declares a REST binding is mounted here;
+ * path params, query string and JSON body are merged into its arguments.
  */
 
-const { PublicKey, Keypair } = require('@solana/web3.js');
-const bs58 = require('bs58');
+import { z } from 'zod';
+import { listTools, getTool, runTool, ToolInputError, UnknownToolError } from './tools.js';
+import { PolicyViolationError } from './policy.js';
+import { solanaAPI } from './solana-api.js';
+import { buildOpenApiSpec, unwrapType } from './openapi.js';
+import { hasBearerToken } from './http-utils.js';
+import { config } from './config.js';
+
+/**
+ * Convert query string values to the numbers, booleans and arrays a tool schema expects
+ * @param {Object} schema - Tool zod shape
+ * @param {Object} query - Express query object
+ * @returns {Object} Coerced arguments
+ */
+function coerceQuery(schema, query) {
+  const args = {};
+  for (const [key, value] of Object.entries(query)) {
+    const type = schema[key] ? unwrapType(schema[key]) : null;
+    if (type instanceof z.ZodNumber && value !== '' && !isNaN(Number(value))) {
+      args[key] = Number(value);
+    } else if (type instanceof z.ZodBoolean && (value === 'true' || value === 'false')) {
+      args[key] = value === 'true';
+    } else if (type instanceof z.ZodArray) {
+      // ?accounts=a&accounts=b, or a single comma-separated value
+      args[key] = (Array.isArray(value) ? value : String(value).split(',')).filter(Boolean);
+    } else {
+      args[key] = value;
+    }
+  }
+  return args;
+}
+
+/**
+ * Privileged tools sign with or manage keystore wallets, so callers must
+ * present API_AUTH_TOKEN; without a configured token they are not served
+ * @param {IncomingMessage} req - HTTP request (or WebSocket upgrade request)
+ * @param {Object} tool - Tool definition
+ * @returns {Object|null} { status, error } when the caller may not run the tool
+ */
+function checkToolAccess(req, tool) {
+  if (!tool?.privileged) return null;
+  if (!config.api.authToken) {
+    return { status: 503, error: `${tool.name} is disabled: set API_AUTH_TOKEN` };
+  }
+  if (!hasBearerToken(req, config.api.authToken)) {
+    return { status: 401, error: 'Unauthorized' };
+  }
+  return null;
+}
+
+/**
+ * Map a tool error to an HTTP response
+ */
+function sendToolError(res, name, error) {
+  console.error(`Error in ${name}:`, error.message);
+  if (error instanceof ToolInputError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof UnknownToolError) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error instanceof PolicyViolationError) {
+    return res.status(403).json(error.toJSON());
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Send a tool result: 202 while waiting for approval, 404 when nothing was found
+ */
+function sendToolResult(res, result) {
+  if (result?.pending) {
+    return res.status(202).json(result);
+  }
+  if (result?.found === false) {
+    return res.status(404).json({ error: 'Not found', ...result });
+  }
+  res.json(result);
+}
 
 /**
  * Set up API routes for Solana MCP service
  * @param {Express} app - Express application
- * @param {Object} solanaConnection - Solana connection utilities
  */
-function setupRoutes(app, solanaConnection) {
-  const { getBalance, getTransactions, getNetworkStatus, transferSol, getAccountInfo } = solanaConnection;
-
+function setupRoutes(app) {
   // Health check route
   app.get('/health', (req, res) => {
-    res.json({ status: 'healthy' });
+    res.json({
+      status: solanaAPI.connected ? 'healthy' : 'degraded',
+      solanaNetwork: solanaAPI.getCluster().name,
+      solanaConnected: solanaAPI.connected,
+      rpcPool: solanaAPI.pool.stats()
+    });
   });
 
-  // Get Solana network status
-  app.get('/api/network', async (req, res) => {
-    try {
-      const networkStatus = await getNetworkStatus();
-      res.json(networkStatus);
-    } catch (error) {
-      console.error('Error getting network status:', error);
-      res.status(500).json({ error: error.message });
-    }
+  // Prometheus metrics for the RPC endpoint pool
+  app.get('/metrics', (req, res) => {
+    const lines = [
+      `solana_connected ${solanaAPI.connected ? 1 : 0}`,
+      ...solanaAPI.pool.metrics()
+    ];
+    res.type('text/plain').send(`${lines.join('\n')}\n`);
   });
 
-  // Get SOL balance for an address
-  app.get('/api/balance/:address', async (req, res) => {
-    try {
-      const { address } = req.params;
-      
-      // Validate Solana address
-      try {
-        new PublicKey(address);
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid Solana address' });
-      }
-      
-      const balance = await getBalance(address);
-      res.json({ address, balance });
-    } catch (error) {
-      console.error('Error getting balance:', error);
-      res.status(500).json({ error: error.message });
-    }
+  // OpenAPI document for the REST routes, used by the tester page
+  app.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec());
   });
 
-  // Get recent transactions for an address
-  app.get('/api/transactions/:address', async (req, res) => {
-    try {
-      const { address } = req.params;
-      const limit = parseInt(req.query.limit) || 10;
-      
-      // Validate Solana address
-      try {
-        new PublicKey(address);
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid Solana address' });
-      }
-      
-      const transactions = await getTransactions(address, limit);
-      res.json({ address, transactions });
-    } catch (error) {
-      console.error('Error getting transactions:', error);
-      res.status(500).json({ error: error.message });
-    }
+  // List tools with their REST bindings
+  app.get('/api/tools', (req, res) => {
+    res.json(listTools().map(({ name, description, rest }) => ({ name, description, rest: rest || null })));
   });
 
-  // Create a new Solana wallet
-  app.post('/api/wallet/create', (req, res) => {
-    try {
-      const keypair = Keypair.generate();
-      res.json({
-        publicKey: keypair.publicKey.toString(),
-        privateKey: bs58.encode(keypair.secretKey)
-      });
-    } catch (error) {
-      console.error('Error creating wallet:', error);
-      res.status(500).json({ error: error.message });
-    }
-  });
-
-  // Transfer SOL between addresses
-  app.post('/api/transfer', async (req, res) => {
-    try {
-      const { from, to, amount, privateKey } = req.body;
-      
-      if (!from || !to || !amount || !privateKey) {
-        return res.status(400).json({ error: 'Missing required parameters' });
-      }
-      
-      // Validate addresses
-      try {
-        new PublicKey(from);
-        new PublicKey(to);
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid Solana address' });
+  for (const tool of listTools().filter(tool => tool.rest)) {
+    app[tool.rest.method](tool.rest.path, async (req, res) => {
+      const denied = checkToolAccess(req, tool);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
       }
-      
-      // Validate amount
-      if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-        return res.status(400).json({ error: 'Invalid amount' });
-      }
-      
-      const result = await transferSol(from, to, parseFloat(amount), privateKey);
-      res.json(result);
-    } catch (error) {
-      console.error('Error transferring SOL:', error);
-      res.status(500).json({ error: error.message });
-    }
-  });
-
-  // Get account information
-  app.get('/api/account/:address', async (req, res) => {
-    try {
-      const { address } = req.params;
-      
-      // Validate Solana address
       try {
-        new PublicKey(address);
+        const args = { ...coerceQuery(tool.schema, req.query), ...(req.body || {}), ...req.params };
+        sendToolResult(res, await runTool(tool.name, args));
       } catch (error) {
-        return res.status(400).json({ error: 'Invalid Solana address' });
+        sendToolError(res, tool.name, error);
       }
-      
-      const accountInfo = await getAccountInfo(address);
-      res.json({ address, ...accountInfo });
-    } catch (error) {
-      console.error('Error getting account info:', error);
-      res.status(500).json({ error: error.message });
-    }
-  });
+    });
+  }
 
-  // MCP execute endpoint
+  // Run any tool by name: { action, parameters }
   app.post('/api/mcp/execute', async (req, res) => {
+    const { action, parameters } = req.body || {};
     try {
-      const { initializeMcpTools } = require('./mcp');
-      const mcpTools = initializeMcpTools(solanaConnection);
-      
-      const result = await mcpTools.processRequest(req.body);
-      res.json(result);
+      if (!action) {
+        throw new ToolInputError('Missing action parameter');
+      }
+      const denied = checkToolAccess(req, getTool(action));
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      sendToolResult(res, await runTool(action, parameters || {}));
     } catch (error) {
-      console.error('Error executing MCP command:', error);
-      res.status(500).json({ error: error.message });
+      sendToolError(res, action, error);
     }
   });
 }
 
-module.exports = { setupRoutes };
+export { setupRoutes, checkToolAccess };
@@ -0,0 +1,280 @@
+/**
+ * RPC endpoint pool
+ * Tracks latency, error rate and slot lag for every configured endpoint and
+ * sends each JSON-RPC request to the healthiest one. Rate-limited (429)
+ * endpoints are benched for a cooldown; transient failures are retried on
+ * the next best endpoint. The pool plugs into web3.js as the Connection's
+ * fetch, so every module using the shared connection benefits.
+ */
+
+import { config } from './config.js';
+
+// Weight of the newest sample in the moving averages
+const SMOOTHING = 0.2;
+// Score penalties, in milliseconds of latency
+const ERROR_PENALTY_MS = 2000;
+const SLOT_LAG_PENALTY_MS = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Endpoint label safe to publish: API keys often sit in the path or query
+ */
+function redactEndpoint(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Whether an HTTP status is worth retrying on another endpoint
+ */
+function isTransientStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class RpcPool {
+  /**
+   * @param {string[]} endpoints - RPC URLs, in order of preference
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] - Extra attempts after a transient failure
+   * @param {number} [options.rateLimitCooldownMs] - How long a 429 benches an endpoint
+   * @param {number} [options.maxSlotLag] - Slots behind the pool tip before an endpoint counts as unhealthy
+   * @param {number} [options.timeoutMs] - Per-attempt request timeout
+   */
+  constructor(endpoints, options = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('RPC pool needs at least one endpoint');
+    }
+
+    this.maxRetries = options.maxRetries ?? config.rpcPool.maxRetries;
+    this.rateLimitCooldownMs = options.rateLimitCooldownMs ?? config.rpcPool.rateLimitCooldownMs;
+    this.maxSlotLag = options.maxSlotLag ?? config.rpcPool.maxSlotLag;
+    this.timeoutMs = options.timeoutMs ?? config.rpcPool.timeoutMs;
+
+    this.endpoints = [...new Set(endpoints)].map((url, index) => ({
+      url,
+      label: redactEndpoint(url),
+      priority: index,
+      latencyMs: null,
+      errorRate: 0,
+      slot: null,
+      requests: 0,
+      failures: 0,
+      rateLimitedUntil: 0,
+      lastError: null
+    }));
+
+    // Bound so it can be handed to web3.js as the Connection's fetch
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * URL of the first configured endpoint
+   */
+  get primary() {
+    return this.endpoints[0].url;
+  }
+
+  /**
+   * Highest slot reported by any endpoint
+   */
+  get tipSlot() {
+    return Math.max(0, ...this.endpoints.map(endpoint => endpoint.slot || 0));
+  }
+
+  /**
+   * Slots an endpoint is behind the pool tip
+   */
+  slotLag(endpoint) {
+    return endpoint.slot === null ? null : this.tipSlot - endpoint.slot;
+  }
+
+  /**
+   * Whether an endpoint is usable right now
+   */
+  isAvailable(endpoint, now = Date.now()) {
+    const lag = this.slotLag(endpoint);
+    // An endpoint that has failed without ever answering is treated as down
+    const neverAnswered = endpoint.latencyMs === null && endpoint.failures > 0;
+    return endpoint.rateLimitedUntil <= now
+      && !neverAnswered
+      && endpoint.errorRate < 0.5
+      && (lag === null || lag <= this.maxSlotLag);
+  }
+
+  /**
+   * Health score of an endpoint; lower is better
+   */
+  score(endpoint) {
+    // Untested endpoints rank by configured order behind measured ones
+    const latency = endpoint.latencyMs ?? (1000 + endpoint.priority);
+    return latency
+      + endpoint.errorRate * ERROR_PENALTY_MS
+      + (this.slotLag(endpoint) || 0) * SLOT_LAG_PENALTY_MS;
+  }
+
+  /**
+   * Endpoints ordered from healthiest to least healthy. Rate-limited and
+   * lagging endpoints go last so they are only used when nothing else is left.
+   */
+  ranked() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) => (
+      (this.isAvailable(b, now) - this.isAvailable(a, now))
+      || (this.score(a) - this.score(b))
+      || (a.priority - b.priority)
+    ));
+  }
+
+  /**
+   * Whether any endpoint is currently usable
+   */
+  isHealthy() {
+    return this.endpoints.some(endpoint => this.isAvailable(endpoint));
+  }
+
+  /**
+   * Record the outcome of a request against an endpoint
+   */
+  record(endpoint, { ok, latencyMs, status, error }) {
+    endpoint.requests++;
+    endpoint.errorRate = endpoint.errorRate * (1 - SMOOTHING) + (ok ? 0 : SMOOTHING);
+
+    if (ok) {
+      endpoint.latencyMs = endpoint.latencyMs === null
+        ? latencyMs
+        : Math.round(endpoint.latencyMs * (1 - SMOOTHING) + latencyMs * SMOOTHING);
+      return;
+    }
+
+    endpoint.failures++;
+    endpoint.lastError = error || `HTTP ${status}`;
+    if (status === 429) {
+      endpoint.rateLimitedUntil = Date.now() + this.rateLimitCooldownMs;
+      console.error(`RPC endpoint ${endpoint.label} rate limited, skipping it for ${this.rateLimitCooldownMs}ms`);
+    }
+  }
+
+  /**
+   * Send one HTTP request to an endpoint with a timeout
+   */
+  async attempt(endpoint, init) {
+    const started = Date.now();
+    try {
+      const response = await fetch(endpoint.url, {
+        ...init,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      const latencyMs = Date.now() - started;
+      this.record(endpoint, { ok: !isTransientStatus(response.status), latencyMs, status: response.status });
+      return response;
+    } catch (error) {
+      this.record(endpoint, { ok: false, latencyMs: Date.now() - started, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * fetch() replacement for web3.js: sends the JSON-RPC request to the
+   * healthiest endpoint and fails over on transient errors. The URL web3.js
+   * passes is ignored.
+   * @param {string} _url - Ignored
+   * @param {Object} init - fetch options built by web3.js
+   * @returns {Promise<Response>} Response of the first endpoint that answered
+   */
+  async fetch(_url, init) {
+    const tried = new Set();
+    let lastResponse = null;
+    let lastError = null;
+
+    for (let attemptNumber = 0; attemptNumber <= this.maxRetries; attemptNumber++) {
+      // Prefer endpoints not yet tried for this request; back off when all were
+      let endpoint = this.ranked().find(candidate => !tried.has(candidate));
+      if (!endpoint) {
+        await sleep(250 * attemptNumber);
+        tried.clear();
+        endpoint = this.ranked()[0];
+      }
+      tried.add(endpoint);
+
+      try {
+        const response = await this.attempt(endpoint, init);
+        if (!isTransientStatus(response.status)) {
+          return response;
+        }
+        lastResponse = response;
+      } catch (error) {
+        lastError = error;
+        console.error(`RPC request to ${endpoint.label} failed: ${error.message}`);
+      }
+    }
+
+    if (lastResponse) return lastResponse;
+    throw lastError;
+  }
+
+  /**
+   * Refresh latency and slot of every endpoint with a getSlot call
+   */
+  async probe() {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getSlot', params: [{ commitment: config.solana.commitment }] });
+
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const response = await this.attempt(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body
+        });
+        if (response.ok) {
+          const { result } = await response.json();
+          if (typeof result === 'number') endpoint.slot = result;
+        }
+      } catch (error) {
+        // Already recorded as a failure
+      }
+    }));
+  }
+
+  /**
+   * Pool state for /health
+   */
+  stats() {
+    const now = Date.now();
+    return this.ranked().map(endpoint => ({
+      endpoint: endpoint.label,
+      available: this.isAvailable(endpoint, now),
+      score: Math.round(this.score(endpoint)),
+      latencyMs: endpoint.latencyMs,
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      slot: endpoint.slot,
+      slotLag: this.slotLag(endpoint),
+      rateLimited: endpoint.rateLimitedUntil > now,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError
+    }));
+  }
+
+  /**
+   * Pool state as Prometheus metric lines for /metrics
+   */
+  metrics() {
+    const lines = [];
+    for (const endpoint of this.stats()) {
+      const labels = `{endpoint="${endpoint.endpoint}"}`;
+      lines.push(`rpc_endpoint_available${labels} ${endpoint.available ? 1 : 0}`);
+      lines.push(`rpc_endpoint_latency_ms${labels} ${endpoint.latencyMs ?? -1}`);
+      lines.push(`rpc_endpoint_error_rate${labels} ${endpoint.errorRate}`);
+      lines.push(`rpc_endpoint_slot_lag${labels} ${endpoint.slotLag ?? -1}`);
+      lines.push(`rpc_endpoint_requests_total${labels} ${endpoint.requests}`);
+      lines.push(`rpc_endpoint_failures_total${labels} ${endpoint.failures}`);
+    }
+    return lines;
+  }
+}
+
+export { RpcPool, redactEndpoint };
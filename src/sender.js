@@ -0,0 +1,272 @@
+/**
+ * Transaction sender
+ * Every signing path sends through here. A signed transaction is rebroadcast
+ * while its blockhash is still valid, and the outcome says how far it got:
+ * landed (confirmed or finalized), failed on-chain or in preflight with the
+ * program error decoded, expired (dropped before its blockhash ran out), or
+ * submitted (still pending when we stopped waiting). RPC errors after the
+ * transaction may have gone out are retried rather than reported as a
+ * failure, since it can still land.
+ */
+
+import { createRequire } from 'module';
+import bs58 from 'bs58';
+import { SendTransactionError, VersionedTransaction } from '@solana/web3.js';
+import { config } from './config.js';
+
+const require = createRequire(import.meta.url);
+const pumpIdl = require('pumpdotfun-sdk/dist/cjs/IDL/pump-fun.json');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Custom error codes of the programs our transactions invoke
+const PROGRAM_ERRORS = {
+  '11111111111111111111111111111111': {
+    0: { name: 'AccountAlreadyInUse', msg: 'An account with the same address already exists' },
+    1: { name: 'ResultWithNegativeLamports', msg: 'Account does not have enough SOL to perform the operation' },
+    3: { name: 'InvalidAccountDataLength', msg: 'Cannot allocate account data of this length' }
+  },
+  'Stake11111111111111111111111111111111111111': {
+    1: { name: 'LockupInForce', msg: 'Lockup has not yet expired' },
+    2: { name: 'AlreadyDeactivated', msg: 'Stake already deactivated' },
+    3: { name: 'TooSoonToRedelegate', msg: 'One re-delegation permitted per epoch' },
+    4: { name: 'InsufficientStake', msg: 'Split amount is more than is staked' },
+    5: { name: 'MergeTransientStake', msg: 'Stake account with transient stake cannot be merged' },
+    6: { name: 'MergeMismatch', msg: 'Stake account merge failed due to different authority, lockups or state' },
+    12: { name: 'InsufficientDelegation', msg: 'Delegation amount is less than the minimum' }
+  },
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA': {
+    0: { name: 'NotRentExempt', msg: 'Lamport balance below rent-exempt threshold' },
+    1: { name: 'InsufficientFunds', msg: 'Insufficient token balance' },
+    3: { name: 'MintMismatch', msg: 'Account not associated with this mint' },
+    4: { name: 'OwnerMismatch', msg: 'Owner does not match' },
+    17: { name: 'AccountFrozen', msg: 'Account is frozen' }
+  },
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': Object.fromEntries(
+    pumpIdl.errors.map(({ code, name, msg }) => [code, { name, msg }])
+  )
+};
+
+/**
+ * Program id invoked by the instruction at an index
+ */
+function instructionProgramId(transaction, index) {
+  if (transaction instanceof VersionedTransaction) {
+    const { message } = transaction;
+    const instruction = message.compiledInstructions[index];
+    return instruction ? message.staticAccountKeys[instruction.programIdIndex]?.toString() : null;
+  }
+  return transaction.instructions[index]?.programId.toString() || null;
+}
+
+/**
+ * Turn a transaction error into a readable code and message
+ * @param {Object|string} err - TransactionError from a signature status or simulation
+ * @param {Transaction|VersionedTransaction} [transaction] - Transaction, to name the failing program
+ * @returns {Object} { code, message, instructionIndex?, programId?, customCode?, raw }
+ */
+function decodeTransactionError(err, transaction = null) {
+  if (typeof err === 'string') {
+    return { code: err, message: err.replace(/([a-z])([A-Z])/g, '$1 $2'), raw: err };
+  }
+
+  if (err?.InstructionError) {
+    const [instructionIndex, detail] = err.InstructionError;
+    const programId = transaction ? instructionProgramId(transaction, instructionIndex) : null;
+
+    if (detail && typeof detail === 'object' && 'Custom' in detail) {
+      const customCode = detail.Custom;
+      const known = PROGRAM_ERRORS[programId]?.[customCode];
+      return {
+        code: known ? known.name : `Custom(${customCode})`,
+        message: known
+          ? `Instruction ${instructionIndex} failed: ${known.msg}`
+          : `Instruction ${instructionIndex} failed with custom program error ${customCode} (0x${customCode.toString(16)})`,
+        instructionIndex,
+        programId,
+        customCode,
+        raw: err
+      };
+    }
+
+    const code = typeof detail === 'string' ? detail : Object.keys(detail || {})[0] || 'InstructionError';
+    return {
+      code,
+      message: `Instruction ${instructionIndex} failed: ${code.replace(/([a-z])([A-Z])/g, '$1 $2')}`,
+      instructionIndex,
+      programId,
+      raw: err
+    };
+  }
+
+  const code = Object.keys(err || {})[0] || 'Unknown';
+  return { code, message: `Transaction failed: ${code}`, raw: err };
+}
+
+/**
+ * Decode a preflight rejection from sendRawTransaction. Only the message
+ * survives there, e.g. "Error processing Instruction 2: custom program error: 0x1772".
+ */
+function decodePreflightError(error, transaction) {
+  const custom = error.message.match(/Instruction (\d+): custom program error: 0x([0-9a-f]+)/i);
+  if (custom) {
+    const decoded = decodeTransactionError(
+      { InstructionError: [Number(custom[1]), { Custom: parseInt(custom[2], 16) }] },
+      transaction
+    );
+    return { ...decoded, raw: error.message, logs: error.logs || null };
+  }
+  return { code: 'PreflightFailed', message: error.message, raw: error.message, logs: error.logs || null };
+}
+
+/**
+ * Recent blockhash a transaction was signed with
+ */
+function recentBlockhash(transaction) {
+  return transaction instanceof VersionedTransaction
+    ? transaction.message.recentBlockhash
+    : transaction.recentBlockhash;
+}
+
+/**
+ * Signature a signed transaction will land under
+ */
+function transactionSignature(transaction) {
+  return bs58.encode(transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature);
+}
+
+/**
+ * Whether a transaction's blockhash can no longer be included in a block.
+ * With the lastValidBlockHeight from getLatestBlockhash this is a block height
+ * comparison; otherwise (e.g. transactions built by PumpPortal) the node is asked.
+ */
+async function blockhashExpired(connection, blockhash, lastValidBlockHeight) {
+  if (lastValidBlockHeight != null) {
+    return (await connection.getBlockHeight('confirmed')) > lastValidBlockHeight;
+  }
+  const { value } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' });
+  return !value;
+}
+
+/**
+ * Send a signed transaction and wait for it to land.
+ * The transaction is rebroadcast every resendIntervalMs while it is unseen
+ * and its blockhash is still valid; once the blockhash expires without the
+ * transaction landing it can no longer be included and is reported as expired.
+ * Only an RPC rejection of the first send (preflight or otherwise) is a
+ * failure before broadcast. If the first send or a status poll errors at the
+ * network level the transaction may still be in flight, so polling carries on
+ * until it lands or its blockhash is seen to expire.
+ * @param {Connection} connection - Solana connection
+ * @param {Transaction|VersionedTransaction} transaction - Fully signed transaction
+ * @param {Object} [options]
+ * @param {string} [options.commitment='confirmed'] - Wait for 'confirmed' or 'finalized'
+ * @param {number} [options.lastValidBlockHeight] - From getLatestBlockhash, to detect expiry by block height
+ * @param {boolean} [options.skipPreflight] - Skip preflight simulation on the first send (TX_SKIP_PREFLIGHT)
+ * @param {number} [options.maxRetries] - Retries the RPC node makes on its own (TX_MAX_RETRIES)
+ * @param {number} [options.timeoutMs] - Give up waiting (status 'submitted') after this long
+ * @param {number} [options.resendIntervalMs] - Rebroadcast interval
+ * @param {number} [options.pollIntervalMs] - Signature status polling interval
+ * @returns {Promise<Object>} { status, signature, slot, resubmissions, error }; status is
+ *   'confirmed' or 'finalized' when landed, else 'failed', 'expired' or 'submitted'
+ */
+async function sendAndConfirm(connection, transaction, options = {}) {
+  const { pollIntervalMs, resendIntervalMs, timeoutMs, skipPreflight, maxRetries } = { ...config.sender, ...options };
+  const commitment = options.commitment || 'confirmed';
+  const raw = transaction.serialize();
+  const blockhash = recentBlockhash(transaction);
+
+  let signature = transactionSignature(transaction);
+  let lastSent = Date.now();
+  try {
+    // Preflight, unless skipped, makes obvious failures come back immediately
+    signature = await connection.sendRawTransaction(raw, { skipPreflight, maxRetries, preflightCommitment: commitment });
+  } catch (error) {
+    if (error instanceof SendTransactionError) {
+      console.error(`Transaction rejected in preflight: ${error.message}`);
+      return { status: 'failed', signature: null, slot: null, resubmissions: 0, error: decodePreflightError(error, transaction) };
+    }
+    // The node may have received it anyway; rebroadcast on the first poll
+    console.error(`Sending ${signature} failed, will keep trying until its blockhash expires: ${error.message}`);
+    lastSent = 0;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let resubmissions = 0;
+  let landed = null;
+
+  while (Date.now() < deadline) {
+    await sleep(pollIntervalMs);
+
+    let status;
+    try {
+      ({ value: [status] } = await connection.getSignatureStatuses([signature]));
+    } catch (error) {
+      console.error(`Polling status of ${signature} failed, retrying: ${error.message}`);
+      continue;
+    }
+    if (status?.err) {
+      const error = decodeTransactionError(status.err, transaction);
+      console.error(`Transaction ${signature} failed: ${error.message}`);
+      return { status: 'failed', signature, slot: status.slot, resubmissions, error };
+    }
+    if (status?.confirmationStatus === 'finalized'
+      || (status?.confirmationStatus === 'confirmed' && commitment === 'confirmed')) {
+      return { status: status.confirmationStatus, signature, slot: status.slot, resubmissions, error: null };
+    }
+    if (status) {
+      // Landed but not at the requested commitment yet; no need to rebroadcast
+      landed = status;
+      continue;
+    }
+
+    try {
+      if (await blockhashExpired(connection, blockhash, options.lastValidBlockHeight)) {
+        // One last look: it may have landed in the final valid slots
+        const { value: [finalStatus] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        if (!finalStatus) {
+          const error = { code: 'BlockhashExpired', message: 'The blockhash expired before the transaction landed; it was dropped and can be retried', raw: null };
+          console.error(`Transaction ${signature} expired`);
+          return { status: 'expired', signature, slot: null, resubmissions, error };
+        }
+        continue;
+      }
+    } catch (error) {
+      // Unknown whether it can still land, so keep rebroadcasting
+      console.error(`Checking blockhash expiry of ${signature} failed, retrying: ${error.message}`);
+    }
+
+    if (Date.now() - lastSent >= resendIntervalMs) {
+      try {
+        await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+        resubmissions++;
+      } catch (error) {
+        console.error(`Rebroadcast of ${signature} failed: ${error.message}`);
+      }
+      lastSent = Date.now();
+    }
+  }
+
+  // Stopped waiting: report the best commitment seen so far
+  if (landed?.confirmationStatus === 'confirmed') {
+    return { status: 'confirmed', signature, slot: landed.slot, resubmissions, error: null };
+  }
+  return { status: 'submitted', signature, slot: landed?.slot ?? null, resubmissions, error: null };
+}
+
+/**
+ * Throw when a send did not land: failed or expired transactions become an
+ * error carrying the decoded reason. Submitted (pending) outcomes pass.
+ * @param {Object} outcome - Result of sendAndConfirm
+ */
+function assertNotFailed(outcome) {
+  if (outcome.status === 'failed' || outcome.status === 'expired') {
+    const error = new Error(outcome.signature
+      ? `Transaction ${outcome.signature} ${outcome.status}: ${outcome.error.message}`
+      : `Transaction ${outcome.status}: ${outcome.error.message}`);
+    error.outcome = outcome;
+    throw error;
+  }
+}
+
+export { sendAndConfirm, assertNotFailed, decodeTransactionError };
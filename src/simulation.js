@@ -0,0 +1,156 @@
+/**
+ * Transaction simulation helpers
+ * Lets write tools preview a signed transaction without broadcasting it
+ */
+
+import { LAMPORTS_PER_SOL, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import * as splToken from '@solana/spl-token';
+
+/**
+ * Decode an SPL token account (Token or Token-2022) from raw account data
+ * @param {PublicKey|string} owner - Program owning the account
+ * @param {Buffer} data - Raw account data
+ * @returns {Object|null} Mint and raw amount, or null if not a token account
+ */
+function decodeTokenAccount(owner, data) {
+  const ownerKey = owner.toString();
+  const isTokenProgram = ownerKey === splToken.TOKEN_PROGRAM_ID.toString() ||
+    ownerKey === splToken.TOKEN_2022_PROGRAM_ID.toString();
+
+  if (!isTokenProgram || !data || data.length < splToken.ACCOUNT_SIZE) {
+    return null;
+  }
+
+  // Token-2022 mints share the base layout but are longer; the account type
+  // byte distinguishes them from token accounts
+  if (data.length > splToken.ACCOUNT_SIZE && data[splToken.ACCOUNT_SIZE] !== splToken.AccountType.Account) {
+    return null;
+  }
+
+  const decoded = splToken.AccountLayout.decode(data.subarray(0, splToken.ACCOUNT_SIZE));
+  return { mint: decoded.mint.toString(), amount: decoded.amount };
+}
+
+/**
+ * Simulate a signed transaction and summarize what it would do
+ * @param {Connection} connection - Solana connection
+ * @param {Transaction|VersionedTransaction} transaction - Signed transaction
+ * @param {Object} [options]
+ * @param {string} [options.commitment] - Commitment used for simulation
+ * @param {boolean} [options.sigVerify=true] - Verify signatures; false to simulate before signing
+ * @returns {Promise<Object>} Compute units, fee, logs and balance deltas
+ */
+async function simulateTransaction(connection, transaction, options = {}) {
+  const isVersioned = transaction instanceof VersionedTransaction;
+  const message = isVersioned ? transaction.message : transaction.compileMessage();
+  const accountKeys = isVersioned ? message.staticAccountKeys : message.accountKeys;
+
+  // Only writable accounts can change balance
+  const writableKeys = accountKeys.filter((_, index) => message.isAccountWritable(index));
+
+  // Simulation requires a versioned transaction to report post-state accounts
+  const simulatedTx = isVersioned
+    ? transaction
+    : new VersionedTransaction(message, transaction.signatures.map(({ signature }) => (
+      signature ? new Uint8Array(signature) : new Uint8Array(64)
+    )));
+
+  const [preAccounts, simulation, feeResult] = await Promise.all([
+    connection.getMultipleAccountsInfo(writableKeys, options.commitment),
+    connection.simulateTransaction(simulatedTx, {
+      sigVerify: options.sigVerify ?? true,
+      commitment: options.commitment,
+      accounts: {
+        encoding: 'base64',
+        addresses: writableKeys.map(key => key.toBase58())
+      }
+    }),
+    connection.getFeeForMessage(message, options.commitment)
+  ]);
+
+  const { value } = simulation;
+  const postAccounts = value.accounts || [];
+  const balanceChanges = [];
+  const tokenChanges = [];
+
+  writableKeys.forEach((key, index) => {
+    const pre = preAccounts[index];
+    const post = postAccounts[index];
+    const preLamports = pre ? pre.lamports : 0;
+    const postLamports = post ? post.lamports : 0;
+
+    if (preLamports !== postLamports) {
+      balanceChanges.push({
+        account: key.toBase58(),
+        preLamports,
+        postLamports,
+        deltaLamports: postLamports - preLamports,
+        deltaSol: (postLamports - preLamports) / LAMPORTS_PER_SOL
+      });
+    }
+
+    const preToken = pre ? decodeTokenAccount(pre.owner, pre.data) : null;
+    const postToken = post ? decodeTokenAccount(post.owner, Buffer.from(post.data[0], 'base64')) : null;
+
+    if (preToken || postToken) {
+      const preAmount = preToken ? preToken.amount : 0n;
+      const postAmount = postToken ? postToken.amount : 0n;
+
+      if (preAmount !== postAmount) {
+        tokenChanges.push({
+          account: key.toBase58(),
+          mint: (postToken || preToken).mint,
+          preAmount,
+          postAmount
+        });
+      }
+    }
+  });
+
+  // Resolve decimals so token deltas can be reported in UI units
+  const mints = [...new Set(tokenChanges.map(change => change.mint))];
+  const decimalsByMint = {};
+  if (mints.length > 0) {
+    const mintAccounts = await connection.getMultipleAccountsInfo(
+      mints.map(mint => new PublicKey(mint)),
+      options.commitment
+    );
+    mintAccounts.forEach((account, index) => {
+      if (account && account.data.length >= splToken.MINT_SIZE) {
+        decimalsByMint[mints[index]] = splToken.MintLayout.decode(account.data.subarray(0, splToken.MINT_SIZE)).decimals;
+      }
+    });
+  }
+
+  const tokenBalanceChanges = tokenChanges.map(change => {
+    const decimals = decimalsByMint[change.mint];
+    const delta = change.postAmount - change.preAmount;
+    return {
+      account: change.account,
+      mint: change.mint,
+      decimals: decimals ?? null,
+      preAmount: change.preAmount.toString(),
+      postAmount: change.postAmount.toString(),
+      deltaAmount: delta.toString(),
+      deltaUiAmount: decimals === undefined ? null : Number(delta) / 10 ** decimals
+    };
+  });
+
+  const feeLamports = feeResult.value;
+
+  return {
+    simulated: true,
+    success: value.err === null,
+    error: value.err,
+    unitsConsumed: value.unitsConsumed ?? null,
+    fee: {
+      lamports: feeLamports,
+      sol: feeLamports === null ? null : feeLamports / LAMPORTS_PER_SOL
+    },
+    logs: value.logs || [],
+    balanceChanges,
+    tokenBalanceChanges
+  };
+}
+
+export { simulateTransaction };
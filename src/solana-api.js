@@ -1,89 +1,222 @@
 // Solana blockchain interaction module
-import { Connection, PublicKey, Keypair, Transaction, LAMPORTS_PER_SOL, SystemProgram } from '@solana/web3.js';
+import { Connection, PublicKey, Transaction, LAMPORTS_PER_SOL, SystemProgram, StakeProgram, Authorized, Keypair } from '@solana/web3.js';
 import * as splToken from '@solana/spl-token';
-import bs58 from 'bs58';
 import { config } from './config.js';
+import { buildTokenTransfer, getTokenProgramId, tokenProgramName, fromBaseUnits } from './token-utils.js';
+import { buildCreateMint, buildMintTo, buildBurn, buildSetAuthority, buildFreezeOrThaw, readSupply } from './token-admin.js';
+import { simulateTransaction } from './simulation.js';
+import { describeTransaction } from './transaction-parser.js';
+import { fetchTransactionHistory } from './history.js';
+import { fetchPortfolio } from './portfolio.js';
+import { fetchValidators, fetchStakeAccounts, loadStakeAccount } from './staking.js';
+import { fetchBondingCurveInfo, quoteBondingCurveTrade } from './bonding-curve.js';
+import {
+  fetchTokenMetadata,
+  fetchMetadataAccount,
+  getMetadataAddress,
+  createMetadataInstruction,
+  updateMetadataInstruction,
+  fetchOffChainMetadata
+} from './token-metadata.js';
+import { loadTokenImage } from './token-image.js';
+import { uploadTokenMetadata } from './metadata-storage.js';
+import { keystore } from './keystore.js';
+import { RpcPool } from './rpc-pool.js';
+import { GENESIS_HASHES, resolveNetwork, networkLabel, clusterEndpoints } from './clusters.js';
+import { signingPolicy, PolicyViolationError } from './policy.js';
+import { estimatePriorityFees, applyComputeBudget, getFeePaid } from './fees.js';
+import { sendAndConfirm, assertNotFailed } from './sender.js';
 
-// Initialize connection to Solana network
+// Vote program owning every validator vote account
+const VOTE_PROGRAM_ID = new PublicKey('Vote111111111111111111111111111111111111111');
+
+/**
+ * Require a keystore wallet to hold a stake account's staker or withdrawer authority
+ */
+function requireStakeAuthority(stake, wallet, role) {
+  if (stake[role] !== wallet) {
+    throw new Error(`${wallet} is not the ${role} of stake account ${stake.address} (${stake[role]})`);
+  }
+}
+
+// Largest Metaplex metadata account, which the create instruction allocates
+const METADATA_ACCOUNT_SIZE = 679;
+
+/**
+ * Metadata URI to put on-chain: the given uri, or the one the image and
+ * metadata JSON were uploaded to when the call describes the token instead
+ * @returns {Promise<Object>} { uri, upload } where upload is null when uri was given
+ */
+async function prepareMetadataUri(fields) {
+  if (fields.uri) {
+    return { uri: fields.uri, upload: null };
+  }
+  const image = await loadTokenImage(fields);
+  const upload = await uploadTokenMetadata({
+    name: fields.name,
+    symbol: fields.symbol,
+    description: fields.description,
+    twitter: fields.twitter,
+    telegram: fields.telegram,
+    website: fields.website
+  }, image);
+  return { uri: upload.metadataUri, upload };
+}
+
+// Fields that describe the off-chain JSON rather than the on-chain account
+const UPLOAD_FIELDS = ['description', 'imagePath', 'imageBase64', 'imageUrl', 'twitter', 'telegram', 'website'];
+
+/**
+ * Common fields of a sent transaction's result. A transaction still pending
+ * when we stopped waiting is reported with success false; it may yet land.
+ */
+function sendResult(outcome) {
+  return {
+    success: outcome.status !== 'submitted',
+    status: outcome.status,
+    signature: outcome.signature,
+    slot: outcome.slot,
+    resubmissions: outcome.resubmissions,
+    ...(outcome.status === 'submitted' ? { message: 'Transaction sent but not confirmed yet; check it with getTransaction' } : {})
+  };
+}
+
+// Connections to Solana clusters
 class SolanaAPI {
   constructor() {
-    this.connection = null;
-    // Force mainnet-beta network regardless of environment variable
-    this.network = 'mainnet-beta';
-    this.connected = false;
-    this.lastConnectionCheck = 0;
+    // Cluster used when a call does not name one
+    this.network = resolveNetwork(config.solana.network);
+    // network -> { name, pool, connection, connected, lastConnectionCheck }
+    this.clusters = new Map();
     
     // Initialize connection immediately
     this.initConnection();
     
     // Set up connection health monitoring
-    this.healthCheckInterval = setInterval(() => this.checkConnectionHealth(), 30000);
+    this.healthCheckInterval = setInterval(() => this.checkConnectionHealth(), config.rpcPool.probeIntervalMs);
   }
   
-  async initConnection() {
-    const { network } = this;
-    const endpoints = config.solana.endpoints[network] || config.solana.endpoints['devnet'];
+  /**
+   * Connection to the default cluster
+   */
+  get connection() {
+    return this.getCluster().connection;
+  }
+  
+  /**
+   * RPC pool of the default cluster
+   */
+  get pool() {
+    return this.getCluster().pool;
+  }
+  
+  /**
+   * Whether the default cluster has a healthy endpoint
+   */
+  get connected() {
+    return this.getCluster().connected;
+  }
+  
+  /**
+   * Get the connection state for a cluster, opening it on first use. Only
+   * named clusters and configured RPC URLs resolve, so the cache is bounded.
+   * @param {string} [network] - Cluster name or configured RPC URL; defaults to SOLANA_NETWORK
+   * @returns {Object} { name, pool, connection, connected, lastConnectionCheck, genesisHash }
+   */
+  getCluster(network) {
+    const key = network ? resolveNetwork(network) : this.network;
+    let cluster = this.clusters.get(key);
+    
+    if (!cluster) {
+      // Every request goes through the pool, which picks the healthiest endpoint;
+      // WebSocket subscriptions use the first configured endpoint
+      const pool = new RpcPool(clusterEndpoints(key));
+      cluster = {
+        name: networkLabel(key),
+        pool,
+        connection: new Connection(pool.primary, {
+          commitment: config.solana.commitment,
+          fetch: pool.fetch,
+          httpAgent: false,
+          disableRetryOnRateLimit: true
+        }),
+        connected: false,
+        lastConnectionCheck: 0,
+        genesisHash: GENESIS_HASHES[key] || null
+      };
+      this.clusters.set(key, cluster);
+      
+      if (key !== this.network) {
+        this.initConnection(key);
+      }
+    }
+    
+    return cluster;
+  }
+  
+  /**
+   * Genesis hash of the chain behind a cluster, read once for custom URLs
+   * and localnet; the signing policy counts daily spend per chain
+   */
+  async getGenesisHash(cluster) {
+    if (!cluster.genesisHash) {
+      cluster.genesisHash = await cluster.connection.getGenesisHash();
+    }
+    return cluster.genesisHash;
+  }
+  
+  async initConnection(network = this.network) {
+    const cluster = this.getCluster(network);
     
     // Add more detailed logging
-    console.error(`Initializing connection to Solana ${network} network`);
+    console.error(`Initializing connection to Solana ${cluster.name} network`);
     console.error(`Environment variable SOLANA_NETWORK = ${process.env.SOLANA_NETWORK}`);
     console.error(`Config network = ${config.solana.network}`);
-    console.error(`Using endpoints: ${JSON.stringify(endpoints)}`);
+    console.error(`Using ${cluster.pool.endpoints.length} endpoint(s) in the RPC pool`);
     
-    // Try each endpoint until one works
-    for (const endpoint of endpoints) {
-      try {
-        console.error(`Attempting to connect to ${network} via ${endpoint}`);
-        this.connection = new Connection(endpoint, config.solana.commitment);
-        
-        // Test the connection
-        await this.connection.getSlot();
-        console.error(`Connected to Solana ${network} via ${endpoint}`);
-        this.connected = true;
-        this.lastConnectionCheck = Date.now();
-        break;
-      } catch (error) {
-        console.error(`Failed to connect to ${endpoint}: ${error.message}`);
-      }
-    }
+    await cluster.pool.probe();
+    cluster.connected = cluster.pool.isHealthy();
+    cluster.lastConnectionCheck = Date.now();
     
-    if (!this.connected) {
-      console.error(`Could not connect to any ${network} endpoints`);
+    if (cluster.connected) {
+      console.error(`Connected to Solana ${cluster.name}; best endpoint ${cluster.pool.ranked()[0].label}`);
+    } else {
+      console.error(`Could not connect to any ${cluster.name} endpoints`);
     }
   }
   
   async checkConnectionHealth() {
-    // Skip if last check was less than 10 seconds ago
-    if (Date.now() - this.lastConnectionCheck < 10000) return;
-    
-    try {
-      await this.connection.getSlot();
-      this.connected = true;
-    } catch (error) {
-      console.error(`Connection check failed: ${error.message}`);
-      this.connected = false;
+    for (const cluster of this.clusters.values()) {
+      // Skip if last check was less than 10 seconds ago
+      if (Date.now() - cluster.lastConnectionCheck < 10000) continue;
+      
+      // Refresh latency and slot lag of every endpoint
+      await cluster.pool.probe();
+      cluster.connected = cluster.pool.isHealthy();
+      if (!cluster.connected) {
+        console.error(`Connection check failed: no healthy ${cluster.name} endpoint`);
+      }
       
-      // Try to reconnect
-      await this.initConnection();
+      cluster.lastConnectionCheck = Date.now();
     }
-    
-    this.lastConnectionCheck = Date.now();
   }
   
   /**
    * Get current network status information
    */
-  async getNetworkStatus() {
+  async getNetworkStatus(options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
     try {
       // First check if we're connected
-      if (!this.connected) {
+      if (!cluster.connected) {
         console.error('Not connected to Solana network, attempting to reconnect');
-        await this.initConnection();
+        await this.initConnection(options.network);
         
         // If still not connected, return error state
-        if (!this.connected) {
+        if (!cluster.connected) {
           return {
-            network: this.network,
+            network: cluster.name,
             connected: false,
             error: 'Failed to connect to Solana network'
           };
@@ -99,16 +232,16 @@ class SolanaAPI {
       let circulatingSupply = 0;
       
       try {
-        version = await this.connection.getVersion();
+        version = await connection.getVersion();
       } catch (e) {
         console.error(`Could not get version: ${e.message}`);
       }
       
       try {
-        slot = await this.connection.getSlot();
+        slot = await connection.getSlot();
         if (slot) {
           try {
-            blockTime = await this.connection.getBlockTime(slot);
+            blockTime = await connection.getBlockTime(slot);
           } catch (e) {
             console.error(`Could not get block time: ${e.message}`);
           }
@@ -118,7 +251,7 @@ class SolanaAPI {
       }
       
       try {
-        health = await this.connection.getHealth();
+        health = await connection.getHealth();
       } catch (e) {
         console.error(`Could not get health: ${e.message}`);
         health = 'unknown';
@@ -126,7 +259,7 @@ class SolanaAPI {
       
       // Get supply information
       try {
-        const supplyInfo = await this.connection.getSupply();
+        const supplyInfo = await connection.getSupply();
         totalSupply = supplyInfo.value.total / LAMPORTS_PER_SOL;
         circulatingSupply = supplyInfo.value.circulating / LAMPORTS_PER_SOL;
       } catch (e) {
@@ -134,8 +267,8 @@ class SolanaAPI {
       }
       
       return {
-        network: this.network,
-        connected: this.connected,
+        network: cluster.name,
+        connected: cluster.connected,
         version,
         currentSlot: slot,
         blockTime: blockTime ? new Date(blockTime * 1000).toISOString() : null,
@@ -148,8 +281,8 @@ class SolanaAPI {
       
       // Return partial information instead of throwing
       return {
-        network: this.network,
-        connected: this.connected,
+        network: cluster.name,
+        connected: cluster.connected,
         error: `Failed to get complete network status: ${error.message}`
       };
     }
@@ -158,10 +291,11 @@ class SolanaAPI {
   /**
    * Get SOL balance for a Solana address
    */
-  async getBalance(address) {
+  async getBalance(address, options = {}) {
+    const { connection } = this.getCluster(options.network);
     try {
       const pubkey = new PublicKey(address);
-      const balance = await this.connection.getBalance(pubkey);
+      const balance = await connection.getBalance(pubkey);
       
       return {
         address,
@@ -177,10 +311,11 @@ class SolanaAPI {
   /**
    * Get detailed account information
    */
-  async getAccountInfo(address) {
+  async getAccountInfo(address, options = {}) {
+    const { connection } = this.getCluster(options.network);
     try {
       const pubkey = new PublicKey(address);
-      const accountInfo = await this.connection.getAccountInfo(pubkey);
+      const accountInfo = await connection.getAccountInfo(pubkey);
       
       if (!accountInfo) {
         return { exists: false, address };
@@ -203,21 +338,15 @@ class SolanaAPI {
   }
   
   /**
-   * Get recent transactions for an address
+   * Get transaction history for an address, walking pages as needed.
+   * See fetchTransactionHistory for the cursor and filter options.
    */
-  async getTransactions(address, limit = 10) {
+  async getTransactions(address, options = {}) {
+    // Older callers pass the limit directly
+    const historyOptions = typeof options === 'number' ? { limit: options } : options;
+    const { connection } = this.getCluster(historyOptions.network);
     try {
-      const pubkey = new PublicKey(address);
-      const signatures = await this.connection.getSignaturesForAddress(pubkey, { limit });
-      
-      return signatures.map(sig => ({
-        signature: sig.signature,
-        slot: sig.slot,
-        blockTime: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
-        err: sig.err,
-        memo: sig.memo,
-        confirmationStatus: sig.confirmationStatus
-      }));
+      return await fetchTransactionHistory(connection, address, historyOptions);
     } catch (error) {
       console.error(`Error getting transactions for ${address}: ${error.message}`);
       throw new Error(`Failed to get transactions: ${error.message}`);
@@ -225,26 +354,102 @@ class SolanaAPI {
   }
   
   /**
-   * Transfer SOL from one account to another
+   * Get SOL and all SPL/Token-2022 holdings of a wallet with token metadata
    */
-  async transferSol(fromAddress, toAddress, amount, privateKey) {
+  async getPortfolio(address, options = {}) {
+    const { connection } = this.getCluster(options.network);
     try {
-      // Convert addresses to PublicKeys
-      const fromPubkey = new PublicKey(fromAddress);
+      return await fetchPortfolio(connection, address, options);
+    } catch (error) {
+      console.error(`Error getting portfolio for ${address}: ${error.message}`);
+      throw new Error(`Failed to get portfolio: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Estimate compute unit prices (low, medium, high) from recent
+   * prioritization fees, optionally local to the accounts a transaction writes
+   */
+  async getPriorityFeeEstimate(accounts = [], options = {}) {
+    const { connection, name } = this.getCluster(options.network);
+    try {
+      const estimate = await estimatePriorityFees(connection, accounts);
+      return { ...estimate, unit: 'microLamports per compute unit', accounts, network: name };
+    } catch (error) {
+      console.error(`Error estimating priority fees: ${error.message}`);
+      throw new Error(`Failed to estimate priority fees: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the bonding curve state of a pump.fun token.
+   * pump.fun lives on mainnet, so that is the default cluster here.
+   */
+  async getPumpFunTokenInfo(mint, options = {}) {
+    const { connection, name } = this.getCluster(options.network || 'mainnet-beta');
+    try {
+      return { ...await fetchBondingCurveInfo(connection, mint), network: name };
+    } catch (error) {
+      console.error(`Error getting pump.fun token info for ${mint}: ${error.message}`);
+      throw new Error(`Failed to get pump.fun token info: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Quote a pump.fun buy or sell against the token's bonding curve
+   */
+  async quotePumpFunTrade(mint, trade, options = {}) {
+    const { connection, name } = this.getCluster(options.network || 'mainnet-beta');
+    try {
+      return { ...await quoteBondingCurveTrade(connection, mint, trade), network: name };
+    } catch (error) {
+      console.error(`Error quoting pump.fun trade for ${mint}: ${error.message}`);
+      throw new Error(`Failed to quote pump.fun trade: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a decoded transaction: instructions, fee, balance changes and logs
+   */
+  async getTransaction(signature, options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      const tx = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      
+      if (!tx) {
+        return { found: false, signature };
+      }
+      
+      return { found: true, ...describeTransaction(signature, tx) };
+    } catch (error) {
+      console.error(`Error getting transaction ${signature}: ${error.message}`);
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Transfer SOL from a keystore wallet to another account.
+   * The sender is given by keystore label or public key.
+   * options.priorityLevel (low, medium, high) prices compute units from recent fees.
+   * With options.simulate the signed transaction is simulated instead of sent.
+   */
+  async transferSol(from, toAddress, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    let reservation = null;
+    try {
+      // Load the sender keypair from the encrypted keystore
+      const fromKeypair = await keystore.getKeypair(from);
+      const fromPubkey = fromKeypair.publicKey;
+      const fromAddress = fromPubkey.toString();
       const toPubkey = new PublicKey(toAddress);
       
       // Convert amount to lamports
       const lamports = amount * LAMPORTS_PER_SOL;
       
-      // Decode private key and create keypair
-      const secretKey = bs58.decode(privateKey);
-      const fromKeypair = Keypair.fromSecretKey(secretKey);
-      
-      // Verify the keypair matches the fromAddress
-      if (fromKeypair.publicKey.toString() !== fromAddress) {
-        throw new Error('Private key does not match sender address');
-      }
-      
       // Create a transfer transaction
       const transaction = new Transaction().add(
         SystemProgram.transfer({
@@ -254,40 +459,73 @@ class SolanaAPI {
         })
       );
       
+      // Size the compute budget and price it from recent fees
+      const fees = await applyComputeBudget(connection, transaction, { payer: fromPubkey, priorityLevel: options.priorityLevel });
+      
       // Get the recent blockhash
-      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = fromPubkey;
       
-      // Sign and send the transaction
+      // Enforce the signing policy before anything is signed
+      reservation = await signingPolicy.check({
+        tool: 'transferSol',
+        wallet: fromAddress,
+        network: cluster.name,
+        cluster: await this.getGenesisHash(cluster),
+        lamports,
+        destination: toAddress,
+        transaction
+      });
+      
+      // Sign the transaction
       transaction.sign(fromKeypair);
-      const signature = await this.connection.sendRawTransaction(transaction.serialize());
       
-      // Wait for confirmation
-      await this.connection.confirmTransaction({
-        blockhash,
-        lastValidBlockHeight,
-        signature
-      });
+      // Preview only: report what the transaction would do without sending it
+      if (options.simulate) {
+        const simulation = await simulateTransaction(connection, transaction, { commitment: config.solana.commitment });
+        return {
+          ...simulation,
+          network: cluster.name,
+          from: fromAddress,
+          to: toAddress,
+          amount,
+          lamports,
+          fees
+        };
+      }
+      
+      // Send, rebroadcasting until it lands or its blockhash expires
+      const outcome = await sendAndConfirm(connection, transaction, { lastValidBlockHeight });
+      assertNotFailed(outcome);
+      const { signature } = outcome;
+      
+      await signingPolicy.commitSpend(reservation, signature);
       
       return {
-        success: true,
-        signature,
+        ...sendResult(outcome),
+        network: cluster.name,
         from: fromAddress,
         to: toAddress,
         amount,
-        lamports
+        lamports,
+        fees: { ...fees, feePaid: await getFeePaid(connection, signature) }
       };
     } catch (error) {
       console.error(`Error transferring SOL: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
       throw new Error(`Failed to transfer SOL: ${error.message}`);
+    } finally {
+      // Only a sent transaction keeps its reservation, as recorded spend
+      signingPolicy.releaseSpend(reservation);
     }
   }
   
   /**
    * Get token balance for a specific SPL token
    */
-  async getTokenBalance(walletAddress, mintAddress) {
+  async getTokenBalance(walletAddress, mintAddress, options = {}) {
+    const { connection } = this.getCluster(options.network);
     try {
       const walletPubkey = new PublicKey(walletAddress);
       const mintPubkey = new PublicKey(mintAddress);
@@ -300,7 +538,7 @@ class SolanaAPI {
       
       try {
         // Get token account info
-        const tokenInfo = await this.connection.getTokenAccountBalance(tokenAddress);
+        const tokenInfo = await connection.getTokenAccountBalance(tokenAddress);
         
         return {
           walletAddress,
@@ -325,22 +563,963 @@ class SolanaAPI {
       throw new Error(`Failed to get token balance: ${error.message}`);
     }
   }
+
+  /**
+   * List the SPL Token and Token-2022 accounts owned by a wallet
+   */
+  async getTokenAccounts(address, options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      const owner = new PublicKey(address);
+      const results = await Promise.all([splToken.TOKEN_PROGRAM_ID, splToken.TOKEN_2022_PROGRAM_ID].map(programId => (
+        connection.getParsedTokenAccountsByOwner(owner, { programId })
+      )));
+      
+      return {
+        address,
+        tokenAccounts: results.flatMap((result, index) => result.value.map(account => ({
+          pubkey: account.pubkey.toString(),
+          mint: account.account.data.parsed.info.mint,
+          owner: account.account.data.parsed.info.owner,
+          amount: account.account.data.parsed.info.tokenAmount.uiAmount,
+          decimals: account.account.data.parsed.info.tokenAmount.decimals,
+          program: index === 0 ? 'token' : 'token-2022'
+        })))
+      };
+    } catch (error) {
+      console.error(`Error getting token accounts for ${address}: ${error.message}`);
+      throw new Error(`Failed to get token accounts: ${error.message}`);
+    }
+  }
   
   /**
-   * Create a new Solana wallet
+   * Get mint details (supply, decimals, authorities) and token metadata
+   */
+  async getTokenInfo(mintAddress, options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      const mintPubkey = new PublicKey(mintAddress);
+      const programId = await getTokenProgramId(connection, mintPubkey);
+      const [mint, metadata] = await Promise.all([
+        splToken.getMint(connection, mintPubkey, config.solana.commitment, programId),
+        fetchTokenMetadata(connection, [mintAddress])
+      ]);
+      const tokenMetadata = metadata.get(mintPubkey.toBase58());
+      
+      return {
+        mint: mintPubkey.toBase58(),
+        program: tokenProgramName(programId),
+        decimals: mint.decimals,
+        supply: mint.supply.toString(),
+        uiSupply: fromBaseUnits(mint.supply, mint.decimals),
+        mintAuthority: mint.mintAuthority ? mint.mintAuthority.toBase58() : null,
+        freezeAuthority: mint.freezeAuthority ? mint.freezeAuthority.toBase58() : null,
+        isInitialized: mint.isInitialized,
+        name: tokenMetadata ? tokenMetadata.name : null,
+        symbol: tokenMetadata ? tokenMetadata.symbol : null,
+        uri: tokenMetadata ? tokenMetadata.uri : null,
+        metadataSource: tokenMetadata ? tokenMetadata.source : null
+      };
+    } catch (error) {
+      console.error(`Error getting token info for ${mintAddress}: ${error.message}`);
+      throw new Error(`Failed to get token info: ${error.message}`);
+    }
+  }
+
+  /**
+   * List validators with commission, activated stake and delinquency
+   */
+  async getValidators(options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      return await fetchValidators(connection, options);
+    } catch (error) {
+      console.error(`Error getting validators: ${error.message}`);
+      throw new Error(`Failed to get validators: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stake accounts a wallet controls, with activation state and rewards per epoch
+   */
+  async getStakeAccounts(address, options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      return await fetchStakeAccounts(connection, address, options);
+    } catch (error) {
+      console.error(`Error getting stake accounts for ${address}: ${error.message}`);
+      throw new Error(`Failed to get stake accounts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stake SOL from a keystore wallet: create a stake account funded with
+   * amount plus its rent reserve, and delegate it to a validator's vote
+   * account in the same transaction. The wallet is staker and withdrawer.
+   */
+  async createStakeAccount(wallet, voteAccount, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const votePubkey = new PublicKey(voteAccount);
+
+      const voteInfo = await connection.getAccountInfo(votePubkey);
+      if (!voteInfo || !voteInfo.owner.equals(VOTE_PROGRAM_ID)) {
+        throw new Error(`${voteAccount} is not a vote account`);
+      }
+
+      const stakeLamports = Math.round(amount * LAMPORTS_PER_SOL);
+      const [rentExemptReserve, { value: minimumDelegation }] = await Promise.all([
+        connection.getMinimumBalanceForRentExemption(StakeProgram.space),
+        connection.getStakeMinimumDelegation()
+      ]);
+      if (stakeLamports < minimumDelegation) {
+        throw new Error(`Amount ${amount} SOL is below the minimum delegation of ${minimumDelegation / LAMPORTS_PER_SOL} SOL`);
+      }
+
+      const stakeKeypair = Keypair.generate();
+      const lamports = stakeLamports + rentExemptReserve;
+      const transaction = new Transaction().add(
+        StakeProgram.createAccount({
+          fromPubkey: signer.publicKey,
+          stakePubkey: stakeKeypair.publicKey,
+          authorized: new Authorized(signer.publicKey, signer.publicKey),
+          lamports
+        }),
+        StakeProgram.delegate({
+          stakePubkey: stakeKeypair.publicKey,
+          authorizedPubkey: signer.publicKey,
+          votePubkey
+        })
+      );
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'createStakeAccount',
+        signer,
+        extraSigners: [stakeKeypair],
+        lamports,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        stakeAccount: stakeKeypair.publicKey.toString(),
+        voteAccount,
+        amount,
+        rentExemptReserve: rentExemptReserve / LAMPORTS_PER_SOL,
+        staker: signer.publicKey.toString(),
+        withdrawer: signer.publicKey.toString()
+      };
+    } catch (error) {
+      console.error(`Error creating stake account: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to create stake account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deactivate a stake account; its SOL becomes withdrawable once the
+   * cooldown ends at the next epoch boundary
+   */
+  async deactivateStake(wallet, stakeAccount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const stake = await loadStakeAccount(cluster.connection, stakeAccount);
+      requireStakeAuthority(stake, signer.publicKey.toString(), 'staker');
+      if (stake.state !== 'active' && stake.state !== 'activating') {
+        throw new Error(`Stake account ${stakeAccount} is ${stake.state}; only active or activating stake can be deactivated`);
+      }
+
+      const transaction = StakeProgram.deactivate({
+        stakePubkey: new PublicKey(stakeAccount),
+        authorizedPubkey: signer.publicKey
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'deactivateStake',
+        signer,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return { ...result, stakeAccount, voteAccount: stake.voteAccount, delegatedStake: stake.delegatedStake };
+    } catch (error) {
+      console.error(`Error deactivating stake: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to deactivate stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw SOL from a stake account to options.to (default: the wallet).
+   * Without an amount the whole balance is withdrawn, closing the account,
+   * which requires the stake to be inactive.
+   */
+  async withdrawStake(wallet, stakeAccount, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const walletAddress = signer.publicKey.toString();
+      const stake = await loadStakeAccount(cluster.connection, stakeAccount);
+      requireStakeAuthority(stake, walletAddress, 'withdrawer');
+
+      const withdrawAll = amount === undefined || amount === null;
+      const sol = withdrawAll ? stake.withdrawable : amount;
+      if (withdrawAll && stake.state !== 'inactive') {
+        throw new Error(`Stake account ${stakeAccount} is ${stake.state}; deactivate it and wait for the cooldown before withdrawing everything`);
+      }
+      if (sol <= 0 || sol > stake.withdrawable) {
+        throw new Error(`Can withdraw up to ${stake.withdrawable} SOL from ${stakeAccount} (${stake.state})`);
+      }
+
+      const destination = options.to || walletAddress;
+      const lamports = withdrawAll
+        ? Math.round(stake.balance * LAMPORTS_PER_SOL)
+        : Math.round(sol * LAMPORTS_PER_SOL);
+      const transaction = StakeProgram.withdraw({
+        stakePubkey: new PublicKey(stakeAccount),
+        authorizedPubkey: signer.publicKey,
+        toPubkey: new PublicKey(destination),
+        lamports
+      });
+
+      // Withdrawing to the wallet itself spends nothing; anywhere else counts as SOL leaving
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'withdrawStake',
+        signer,
+        lamports: destination === walletAddress ? 0 : lamports,
+        destination: destination === walletAddress ? undefined : destination,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        stakeAccount,
+        to: destination,
+        amount: lamports / LAMPORTS_PER_SOL,
+        closed: withdrawAll
+      };
+    } catch (error) {
+      console.error(`Error withdrawing stake: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to withdraw stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split amount SOL of a stake account into a new stake account with the
+   * same authorities and delegation. The wallet funds the new account's rent.
    */
-  createWallet() {
+  async splitStake(wallet, stakeAccount, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
     try {
-      const keypair = Keypair.generate();
+      const signer = await keystore.getKeypair(wallet);
+      const stake = await loadStakeAccount(connection, stakeAccount);
+      requireStakeAuthority(stake, signer.publicKey.toString(), 'staker');
+
+      const available = stake.balance - stake.rentExemptReserve;
+      if (amount <= 0 || amount > available) {
+        throw new Error(`Can split up to ${available} SOL from ${stakeAccount}`);
+      }
+
+      const splitKeypair = Keypair.generate();
+      const rentExemptReserve = await connection.getMinimumBalanceForRentExemption(StakeProgram.space);
+      const transaction = StakeProgram.split({
+        stakePubkey: new PublicKey(stakeAccount),
+        authorizedPubkey: signer.publicKey,
+        splitStakePubkey: splitKeypair.publicKey,
+        lamports: Math.round(amount * LAMPORTS_PER_SOL)
+      }, rentExemptReserve);
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'splitStake',
+        signer,
+        extraSigners: [splitKeypair],
+        lamports: rentExemptReserve,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
       return {
-        publicKey: keypair.publicKey.toString(),
-        privateKey: bs58.encode(keypair.secretKey)
+        ...result,
+        stakeAccount,
+        newStakeAccount: splitKeypair.publicKey.toString(),
+        amount,
+        voteAccount: stake.voteAccount
       };
+    } catch (error) {
+      console.error(`Error splitting stake: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to split stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge sourceStakeAccount into stakeAccount. Both need the same
+   * authorities and, when delegated, the same vote account and state.
+   */
+  async mergeStake(wallet, stakeAccount, sourceStakeAccount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const walletAddress = signer.publicKey.toString();
+      const [destination, source] = await Promise.all([
+        loadStakeAccount(connection, stakeAccount),
+        loadStakeAccount(connection, sourceStakeAccount)
+      ]);
+      requireStakeAuthority(destination, walletAddress, 'staker');
+      requireStakeAuthority(source, walletAddress, 'staker');
+      if (destination.withdrawer !== source.withdrawer) {
+        throw new Error('Stake accounts with different withdrawers cannot be merged');
+      }
+      if (destination.voteAccount && source.voteAccount && destination.voteAccount !== source.voteAccount) {
+        throw new Error(`Stake accounts are delegated to different validators (${destination.voteAccount}, ${source.voteAccount})`);
+      }
+
+      const transaction = StakeProgram.merge({
+        stakePubkey: new PublicKey(stakeAccount),
+        sourceStakePubKey: new PublicKey(sourceStakeAccount),
+        authorizedPubkey: signer.publicKey
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'mergeStake',
+        signer,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        stakeAccount,
+        sourceStakeAccount,
+        balance: destination.balance + source.balance
+      };
+    } catch (error) {
+      console.error(`Error merging stake: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to merge stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer SPL tokens (Token or Token-2022) from a keystore wallet to another wallet.
+   * The sender is given by keystore label or public key.
+   * The amount is given in UI units and converted using the mint decimals.
+   * The recipient's associated token account is created if it is missing.
+   * options.priorityLevel (low, medium, high) prices compute units from recent fees.
+   * With options.simulate the signed transaction is simulated instead of sent.
+   */
+  async transferToken(from, toAddress, mintAddress, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    let reservation = null;
+    try {
+      // Load the sender keypair from the encrypted keystore
+      const fromKeypair = await keystore.getKeypair(from);
+      const fromPubkey = fromKeypair.publicKey;
+      const fromAddress = fromPubkey.toString();
+      const toPubkey = new PublicKey(toAddress);
+      const mintPubkey = new PublicKey(mintAddress);
+
+      // Build the transfer, creating the recipient token account if missing
+      const {
+        transaction,
+        programId,
+        rawAmount,
+        decimals,
+        sourceTokenAccount,
+        destinationTokenAccount,
+        createdDestinationAccount,
+        rentLamports
+      } = await buildTokenTransfer(connection, {
+        fromPubkey,
+        toPubkey,
+        mintPubkey,
+        amount,
+        commitment: config.solana.commitment
+      });
+      
+      // Size the compute budget and price it from recent fees
+      const fees = await applyComputeBudget(connection, transaction, { payer: fromPubkey, priorityLevel: options.priorityLevel });
+      
+      // Get the recent blockhash
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = fromPubkey;
+
+      // Enforce the signing policy before anything is signed; rent for a
+      // created recipient account is SOL leaving the wallet
+      reservation = await signingPolicy.check({
+        tool: 'transferToken',
+        wallet: fromAddress,
+        network: cluster.name,
+        cluster: await this.getGenesisHash(cluster),
+        lamports: rentLamports,
+        destination: toAddress,
+        transaction
+      });
+
+      // Sign the transaction
+      transaction.sign(fromKeypair);
+
+      // Preview only: report what the transaction would do without sending it
+      if (options.simulate) {
+        const simulation = await simulateTransaction(connection, transaction, { commitment: config.solana.commitment });
+        return {
+          ...simulation,
+          network: cluster.name,
+          from: fromAddress,
+          to: toAddress,
+          mintAddress,
+          amount,
+          rawAmount: rawAmount.toString(),
+          decimals,
+          destinationTokenAccount: destinationTokenAccount.toString(),
+          createdDestinationAccount,
+          tokenProgram: tokenProgramName(programId),
+          fees
+        };
+      }
+
+      // Send, rebroadcasting until it lands or its blockhash expires
+      const outcome = await sendAndConfirm(connection, transaction, { lastValidBlockHeight });
+      assertNotFailed(outcome);
+      const { signature } = outcome;
+
+      await signingPolicy.commitSpend(reservation, signature);
+
+      return {
+        ...sendResult(outcome),
+        network: cluster.name,
+        from: fromAddress,
+        to: toAddress,
+        mintAddress,
+        amount,
+        rawAmount: rawAmount.toString(),
+        decimals,
+        sourceTokenAccount: sourceTokenAccount.toString(),
+        destinationTokenAccount: destinationTokenAccount.toString(),
+        createdDestinationAccount,
+        tokenProgram: tokenProgramName(programId),
+        fees: { ...fees, feePaid: await getFeePaid(connection, signature) }
+      };
+    } catch (error) {
+      console.error(`Error transferring token: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to transfer token: ${error.message}`);
+    } finally {
+      // Only a sent transaction keeps its reservation, as recorded spend
+      signingPolicy.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Budget, policy-check, sign and send a transaction built for a keystore
+   * wallet, which pays its fees. With options.simulate the signed transaction
+   * is simulated instead of sent.
+   * @param {Object} cluster - Cluster from getCluster
+   * @param {Transaction} transaction - Unsigned transaction
+   * @param {Object} request
+   * @param {string} request.tool - Tool name for the signing policy
+   * @param {Keypair} request.signer - Keystore wallet signing and paying
+   * @param {Array<Keypair>} [request.extraSigners] - Other required signers, e.g. a new account
+   * @param {number} [request.lamports=0] - SOL leaving the wallet besides fees, in lamports
+   * @param {string} [request.destination] - Recipient wallet, if any
+   * @returns {Promise<Object>} Send result or simulation, with the network and fees
+   */
+  async signAndSend(cluster, transaction, { tool, signer, extraSigners = [], lamports = 0, destination, priorityLevel, simulate }) {
+    const { connection } = cluster;
+    const wallet = signer.publicKey.toString();
+
+    // Size the compute budget and price it from recent fees
+    const fees = await applyComputeBudget(connection, transaction, { payer: signer.publicKey, priorityLevel });
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = signer.publicKey;
+
+    // Enforce the signing policy before anything is signed
+    const reservation = await signingPolicy.check({
+      tool,
+      wallet,
+      network: cluster.name,
+      cluster: await this.getGenesisHash(cluster),
+      lamports,
+      destination,
+      transaction
+    });
+    try {
+      transaction.sign(signer, ...extraSigners);
+
+      // Preview only: report what the transaction would do without sending it
+      if (simulate) {
+        const simulation = await simulateTransaction(connection, transaction, { commitment: config.solana.commitment });
+        return { ...simulation, network: cluster.name, fees };
+      }
+
+      // Send, rebroadcasting until it lands or its blockhash expires
+      const outcome = await sendAndConfirm(connection, transaction, { lastValidBlockHeight });
+      assertNotFailed(outcome);
+      await signingPolicy.commitSpend(reservation, outcome.signature);
+
+      return {
+        ...sendResult(outcome),
+        network: cluster.name,
+        fees: { ...fees, feePaid: await getFeePaid(connection, outcome.signature) }
+      };
+    } finally {
+      // Only a sent transaction keeps its reservation, as recorded spend
+      signingPolicy.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Create an SPL Token or Token-2022 mint paid for by a keystore wallet.
+   * The wallet is the mint authority unless options.mintAuthority is given;
+   * there is no freeze authority unless options.freezeAuthority is given.
+   */
+  async createMint(wallet, options = {}) {
+    const cluster = this.getCluster(options.network);
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const mintAuthority = options.mintAuthority ? new PublicKey(options.mintAuthority) : signer.publicKey;
+      const freezeAuthority = options.freezeAuthority ? new PublicKey(options.freezeAuthority) : null;
+      const decimals = options.decimals ?? 9;
+
+      const { transaction, mintKeypair, programId, rentLamports } = await buildCreateMint(cluster.connection, {
+        payer: signer.publicKey,
+        decimals,
+        mintAuthority,
+        freezeAuthority,
+        tokenProgram: options.tokenProgram
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'createMint',
+        signer,
+        extraSigners: [mintKeypair],
+        lamports: rentLamports,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress: mintKeypair.publicKey.toString(),
+        decimals,
+        mintAuthority: mintAuthority.toString(),
+        freezeAuthority: freezeAuthority ? freezeAuthority.toString() : null,
+        tokenProgram: tokenProgramName(programId),
+        rent: rentLamports / LAMPORTS_PER_SOL,
+        ...(options.simulate ? {} : { supply: '0' })
+      };
+    } catch (error) {
+      console.error(`Error creating mint: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to create mint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mint tokens (UI units) to a wallet; the keystore wallet must be the mint
+   * authority. The recipient, options.to, defaults to the authority itself and
+   * its associated token account is created if missing.
+   */
+  async mintTo(wallet, mintAddress, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const mintPubkey = new PublicKey(mintAddress);
+      const destinationOwner = options.to ? new PublicKey(options.to) : signer.publicKey;
+
+      const { transaction, programId, rawAmount, decimals, destinationTokenAccount, createdDestinationAccount } = await buildMintTo(connection, {
+        mintPubkey,
+        authority: signer.publicKey,
+        destinationOwner,
+        amount,
+        commitment: config.solana.commitment
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'mintTo',
+        signer,
+        destination: destinationOwner.toString(),
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress,
+        to: destinationOwner.toString(),
+        amount,
+        rawAmount: rawAmount.toString(),
+        decimals,
+        destinationTokenAccount: destinationTokenAccount.toString(),
+        createdDestinationAccount,
+        tokenProgram: tokenProgramName(programId),
+        ...(result.success && !options.simulate ? { newSupply: await readSupply(connection, mintPubkey, programId) } : {})
+      };
+    } catch (error) {
+      console.error(`Error minting tokens: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to mint tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Burn tokens (UI units) from a keystore wallet's token account
+   */
+  async burn(wallet, mintAddress, amount, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const mintPubkey = new PublicKey(mintAddress);
+
+      const { transaction, programId, rawAmount, decimals, tokenAccount } = await buildBurn(connection, {
+        mintPubkey,
+        owner: signer.publicKey,
+        amount,
+        commitment: config.solana.commitment
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'burn',
+        signer,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress,
+        amount,
+        rawAmount: rawAmount.toString(),
+        decimals,
+        tokenAccount: tokenAccount.toString(),
+        tokenProgram: tokenProgramName(programId),
+        ...(result.success && !options.simulate ? { newSupply: await readSupply(connection, mintPubkey, programId) } : {})
+      };
+    } catch (error) {
+      console.error(`Error burning tokens: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to burn tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change or revoke (newAuthority null) an authority held by a keystore wallet.
+   * 'mint' and 'freeze' apply to the mint at address; 'owner' and 'close' to
+   * the token account at address (or the wallet's account for options.mintAddress).
+   */
+  async setAuthority(wallet, address, authorityType, newAuthority, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+
+      const { transaction, programId, account, previousAuthority } = await buildSetAuthority(connection, {
+        target: new PublicKey(address),
+        mintPubkey: options.mintAddress ? new PublicKey(options.mintAddress) : null,
+        authorityType,
+        currentAuthority: signer.publicKey,
+        newAuthority: newAuthority ? new PublicKey(newAuthority) : null,
+        commitment: config.solana.commitment
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'setAuthority',
+        signer,
+        destination: newAuthority || undefined,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        account: account.toString(),
+        authorityType,
+        previousAuthority: previousAuthority.toString(),
+        newAuthority: newAuthority || null,
+        revoked: !newAuthority,
+        tokenProgram: tokenProgramName(programId)
+      };
+    } catch (error) {
+      console.error(`Error setting authority: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to set authority: ${error.message}`);
+    }
+  }
+
+  /**
+   * Freeze or thaw a token account; the keystore wallet must be the mint's
+   * freeze authority. account is the token account or the wallet owning it.
+   */
+  async setTokenAccountFrozen(wallet, mintAddress, account, freeze, options = {}) {
+    const cluster = this.getCluster(options.network);
+    try {
+      const signer = await keystore.getKeypair(wallet);
+
+      const { transaction, programId, tokenAccount } = await buildFreezeOrThaw(cluster.connection, {
+        mintPubkey: new PublicKey(mintAddress),
+        account,
+        freezeAuthority: signer.publicKey,
+        freeze,
+        commitment: config.solana.commitment
+      });
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: freeze ? 'freezeAccount' : 'thawAccount',
+        signer,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress,
+        tokenAccount: tokenAccount.toString(),
+        frozen: freeze,
+        tokenProgram: tokenProgramName(programId)
+      };
+    } catch (error) {
+      const action = freeze ? 'freeze' : 'thaw';
+      console.error(`Error trying to ${action} token account: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to ${action} token account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the Metaplex metadata account of a mint whose mint authority is a
+   * keystore wallet. Without metadata.uri the image and metadata JSON are
+   * uploaded to the storage provider first and the resulting URI is used.
+   * @param {string} wallet - Keystore wallet holding the mint authority; pays for the account
+   * @param {string} mintAddress - Token mint
+   * @param {Object} metadata - name, symbol, uri or the fields to upload, sellerFeeBasisPoints, updateAuthority, isMutable
+   */
+  async createTokenMetadata(wallet, mintAddress, metadata, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const mintPubkey = new PublicKey(mintAddress);
+
+      // Only the mint authority can attach metadata, and only once
+      const programId = await getTokenProgramId(connection, mintPubkey);
+      const mint = await splToken.getMint(connection, mintPubkey, config.solana.commitment, programId);
+      if (!mint.mintAuthority || !mint.mintAuthority.equals(signer.publicKey)) {
+        throw new Error(`${signer.publicKey.toString()} is not the mint authority of ${mintAddress}`);
+      }
+      if (await fetchMetadataAccount(connection, mintPubkey)) {
+        throw new Error(`Mint ${mintAddress} already has metadata; use updateTokenMetadata`);
+      }
+
+      const { uri, upload } = await prepareMetadataUri(metadata);
+      const updateAuthority = metadata.updateAuthority ? new PublicKey(metadata.updateAuthority) : signer.publicKey;
+      const data = {
+        name: metadata.name,
+        symbol: metadata.symbol,
+        uri,
+        sellerFeeBasisPoints: metadata.sellerFeeBasisPoints ?? 0,
+        creators: null
+      };
+      const isMutable = metadata.isMutable ?? true;
+
+      const transaction = new Transaction().add(createMetadataInstruction({
+        mint: mintPubkey,
+        mintAuthority: signer.publicKey,
+        payer: signer.publicKey,
+        updateAuthority,
+        updateAuthorityIsSigner: updateAuthority.equals(signer.publicKey),
+        data,
+        isMutable
+      }));
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'createTokenMetadata',
+        signer,
+        lamports: await connection.getMinimumBalanceForRentExemption(METADATA_ACCOUNT_SIZE),
+        destination: metadata.updateAuthority,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress,
+        metadataAddress: getMetadataAddress(mintPubkey).toString(),
+        ...data,
+        updateAuthority: updateAuthority.toString(),
+        isMutable,
+        ...(upload ? { storageProvider: upload.provider, metadata: upload.metadata } : {})
+      };
+    } catch (error) {
+      console.error(`Error creating token metadata: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to create token metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the Metaplex metadata of a mint whose update authority is a keystore
+   * wallet. Fields that are not given keep their current values; a new image
+   * or description re-uploads the metadata JSON and points the URI at it.
+   * changes.isMutable false locks the metadata for good.
+   */
+  async updateTokenMetadata(wallet, mintAddress, changes, options = {}) {
+    const cluster = this.getCluster(options.network);
+    const { connection } = cluster;
+    try {
+      const signer = await keystore.getKeypair(wallet);
+      const mintPubkey = new PublicKey(mintAddress);
+
+      const current = await fetchMetadataAccount(connection, mintPubkey);
+      if (!current) {
+        throw new Error(`Mint ${mintAddress} has no Metaplex metadata; use createTokenMetadata`);
+      }
+      if (!current.isMutable) {
+        throw new Error(`Metadata of ${mintAddress} is immutable`);
+      }
+      if (current.updateAuthority !== signer.publicKey.toString()) {
+        throw new Error(`${signer.publicKey.toString()} is not the update authority (${current.updateAuthority})`);
+      }
+
+      const name = changes.name ?? current.name;
+      const symbol = changes.symbol ?? current.symbol;
+      let uri = changes.uri;
+      let upload = null;
+      if (!uri && UPLOAD_FIELDS.some(field => changes[field])) {
+        ({ uri, upload } = await prepareMetadataUri({ ...changes, name, symbol }));
+      }
+
+      const dataChanged = ['name', 'symbol', 'sellerFeeBasisPoints'].some(field => changes[field] !== undefined) || !!uri;
+      const data = dataChanged
+        ? {
+          name,
+          symbol,
+          uri: uri ?? current.uri,
+          sellerFeeBasisPoints: changes.sellerFeeBasisPoints ?? current.sellerFeeBasisPoints,
+          creators: current.creators,
+          collection: current.collection,
+          uses: current.uses
+        }
+        : null;
+      const newUpdateAuthority = changes.newUpdateAuthority ? new PublicKey(changes.newUpdateAuthority) : null;
+      const lock = changes.isMutable === false;
+
+      if (!data && !newUpdateAuthority && !lock) {
+        throw new Error('Nothing to update');
+      }
+
+      const transaction = new Transaction().add(updateMetadataInstruction({
+        mint: mintPubkey,
+        updateAuthority: signer.publicKey,
+        data,
+        newUpdateAuthority,
+        isMutable: lock ? false : null
+      }));
+
+      const result = await this.signAndSend(cluster, transaction, {
+        tool: 'updateTokenMetadata',
+        signer,
+        destination: changes.newUpdateAuthority,
+        priorityLevel: options.priorityLevel,
+        simulate: options.simulate
+      });
+
+      return {
+        ...result,
+        mintAddress,
+        metadataAddress: current.address,
+        name: data ? data.name : current.name,
+        symbol: data ? data.symbol : current.symbol,
+        uri: data ? data.uri : current.uri,
+        sellerFeeBasisPoints: data ? data.sellerFeeBasisPoints : current.sellerFeeBasisPoints,
+        updateAuthority: newUpdateAuthority ? newUpdateAuthority.toString() : current.updateAuthority,
+        isMutable: !lock,
+        ...(upload ? { storageProvider: upload.provider, metadata: upload.metadata } : {})
+      };
+    } catch (error) {
+      console.error(`Error updating token metadata: ${error.message}`);
+      if (error instanceof PolicyViolationError) throw error;
+      throw new Error(`Failed to update token metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the metadata of any mint: the Metaplex account (or Token-2022
+   * metadata extension) and the off-chain JSON its URI points at
+   */
+  async getTokenMetadata(mintAddress, options = {}) {
+    const { connection } = this.getCluster(options.network);
+    try {
+      const mintPubkey = new PublicKey(mintAddress);
+      const account = await fetchMetadataAccount(connection, mintPubkey);
+
+      let onChain;
+      if (account) {
+        const { address, ...fields } = account;
+        onChain = { source: 'metaplex', metadataAddress: address, ...fields };
+      } else {
+        const extension = (await fetchTokenMetadata(connection, [mintAddress])).get(mintPubkey.toBase58());
+        if (!extension) {
+          throw new Error(`Mint ${mintAddress} has no Metaplex or Token-2022 metadata`);
+        }
+        onChain = extension;
+      }
+
+      // A broken or unreachable URI is reported, not raised: the on-chain part is still useful
+      let offChain = null;
+      let offChainError = null;
+      if (onChain.uri) {
+        try {
+          offChain = await fetchOffChainMetadata(onChain.uri);
+        } catch (error) {
+          offChainError = error.message;
+        }
+      }
+
+      return { mint: mintAddress, ...onChain, offChain, ...(offChainError ? { offChainError } : {}) };
+    } catch (error) {
+      console.error(`Error getting token metadata for ${mintAddress}: ${error.message}`);
+      throw new Error(`Failed to get token metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new Solana wallet stored in the encrypted keystore.
+   * Only the label and public key are returned.
+   */
+  async createWallet(label) {
+    try {
+      return await keystore.createWallet(label);
     } catch (error) {
       console.error(`Error creating wallet: ${error.message}`);
       throw new Error(`Failed to create wallet: ${error.message}`);
     }
   }
+  
+  /**
+   * List wallets stored in the keystore
+   */
+  async listWallets() {
+    try {
+      return await keystore.list();
+    } catch (error) {
+      console.error(`Error listing wallets: ${error.message}`);
+      throw new Error(`Failed to list wallets: ${error.message}`);
+    }
+  }
 }
 
 // Export a singleton instance
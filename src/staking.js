@@ -0,0 +1,215 @@
+/**
+ * Native staking reads
+ * Validators from getVoteAccounts, and stake accounts decoded from their
+ * parsed data with the activation state worked out from the current epoch,
+ * plus the inflation rewards each account earned in recent epochs.
+ */
+
+import { PublicKey, StakeProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+
+// Epoch value of a delegation that has not been deactivated (u64::MAX)
+const NO_DEACTIVATION = '18446744073709551615';
+// Offsets of the staker and withdrawer authorities in stake account data
+const STAKER_OFFSET = 12;
+const WITHDRAWER_OFFSET = 44;
+// Most recent epochs whose rewards can be requested in one query
+const MAX_REWARD_EPOCHS = 10;
+
+const toSol = (lamports) => Number(lamports) / LAMPORTS_PER_SOL;
+
+/**
+ * List validators with commission, activated stake and delinquency
+ * @param {Connection} connection - Solana connection
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Validators to return, by activated stake
+ * @param {boolean} [options.includeDelinquent=false] - Include validators that stopped voting
+ * @returns {Promise<Object>} { epoch, total, validators }
+ */
+async function fetchValidators(connection, options = {}) {
+  const { limit = 50, includeDelinquent = false } = options;
+  const [{ current, delinquent }, { epoch }] = await Promise.all([
+    connection.getVoteAccounts(),
+    connection.getEpochInfo()
+  ]);
+
+  const describe = (account, isDelinquent) => ({
+    voteAccount: account.votePubkey,
+    identity: account.nodePubkey,
+    commission: account.commission,
+    activatedStake: toSol(account.activatedStake),
+    lastVote: account.lastVote,
+    // Credits earned in the latest epoch: a rough measure of voting performance
+    epochCredits: account.epochCredits.length > 0
+      ? account.epochCredits[account.epochCredits.length - 1][1] - account.epochCredits[account.epochCredits.length - 1][2]
+      : 0,
+    delinquent: isDelinquent
+  });
+
+  const validators = [
+    ...current.map(account => describe(account, false)),
+    ...(includeDelinquent ? delinquent.map(account => describe(account, true)) : [])
+  ].sort((a, b) => b.activatedStake - a.activatedStake);
+
+  return {
+    epoch,
+    total: validators.length,
+    delinquentCount: delinquent.length,
+    validators: validators.slice(0, limit)
+  };
+}
+
+/**
+ * Activation state of a delegation at an epoch. Warmup and cooldown are
+ * rate limited network-wide, but nearly always complete in one epoch, so
+ * the state follows the activation and deactivation epochs.
+ * @returns {string} 'activating', 'active', 'deactivating' or 'inactive'
+ */
+function activationState(delegation, epoch) {
+  if (!delegation) return 'inactive';
+  const activationEpoch = Number(delegation.activationEpoch);
+  const deactivating = delegation.deactivationEpoch !== NO_DEACTIVATION;
+  const deactivationEpoch = Number(delegation.deactivationEpoch);
+
+  if (deactivating) {
+    // Deactivated in the epoch it was delegated: it never became active
+    if (deactivationEpoch === activationEpoch) return 'inactive';
+    return epoch <= deactivationEpoch ? 'deactivating' : 'inactive';
+  }
+  return epoch <= activationEpoch ? 'activating' : 'active';
+}
+
+/**
+ * Summarize a parsed stake account
+ * @param {string} address - Stake account address
+ * @param {Object} account - Account from a jsonParsed request
+ * @param {number} epoch - Current epoch
+ * @returns {Object} Balance, authorities, delegation and activation state
+ */
+function summarizeStakeAccount(address, account, epoch) {
+  const { type, info } = account.data.parsed;
+  const rentExemptReserve = BigInt(info.meta.rentExemptReserve);
+  const delegation = info.stake?.delegation || null;
+  const state = activationState(delegation, epoch);
+  const lamports = BigInt(account.lamports);
+  const delegated = delegation ? BigInt(delegation.stake) : 0n;
+
+  // Inactive stake can be withdrawn in full; otherwise only what is above the delegation and rent
+  let withdrawable = state === 'inactive' ? lamports : lamports - delegated - rentExemptReserve;
+  if (withdrawable < 0n) withdrawable = 0n;
+
+  return {
+    address,
+    type,
+    state,
+    balance: toSol(lamports),
+    delegatedStake: toSol(delegated),
+    withdrawable: toSol(withdrawable),
+    rentExemptReserve: toSol(rentExemptReserve),
+    voteAccount: delegation ? delegation.voter : null,
+    activationEpoch: delegation ? Number(delegation.activationEpoch) : null,
+    deactivationEpoch: delegation && delegation.deactivationEpoch !== NO_DEACTIVATION
+      ? Number(delegation.deactivationEpoch)
+      : null,
+    staker: info.meta.authorized.staker,
+    withdrawer: info.meta.authorized.withdrawer,
+    lockup: info.meta.lockup
+  };
+}
+
+/**
+ * Load and summarize one stake account
+ * @param {Connection} connection - Solana connection
+ * @param {string} address - Stake account address
+ * @returns {Promise<Object>} Summary from summarizeStakeAccount
+ */
+async function loadStakeAccount(connection, address) {
+  const [{ value: account }, { epoch }] = await Promise.all([
+    connection.getParsedAccountInfo(new PublicKey(address)),
+    connection.getEpochInfo()
+  ]);
+
+  if (!account || !account.owner.equals(StakeProgram.programId) || !account.data.parsed) {
+    throw new Error(`${address} is not a stake account`);
+  }
+  return summarizeStakeAccount(address, account, epoch);
+}
+
+/**
+ * Inflation rewards of stake accounts over recent epochs
+ * @returns {Promise<Map<string, Array>>} Rewards by stake account, newest epoch first
+ */
+async function fetchRewards(connection, addresses, epoch, epochs) {
+  const rewards = new Map(addresses.map(address => [address, []]));
+  const keys = addresses.map(address => new PublicKey(address));
+
+  // Rewards for an epoch are paid at the start of the next one
+  for (let rewardEpoch = epoch - 1; rewardEpoch >= Math.max(0, epoch - epochs); rewardEpoch--) {
+    const results = await connection.getInflationReward(keys, rewardEpoch);
+    results.forEach((reward, index) => {
+      if (!reward) return;
+      rewards.get(addresses[index]).push({
+        epoch: reward.epoch,
+        amount: toSol(reward.amount),
+        postBalance: toSol(reward.postBalance),
+        commission: reward.commission ?? null
+      });
+    });
+  }
+  return rewards;
+}
+
+/**
+ * Stake accounts a wallet controls, as staker or withdrawer, with their
+ * activation state and the rewards they earned per epoch
+ * @param {Connection} connection - Solana connection
+ * @param {string} address - Wallet address
+ * @param {Object} [options]
+ * @param {number} [options.rewardEpochs=5] - Recent epochs to report rewards for (0 to skip)
+ * @returns {Promise<Object>} { epoch, totalStaked, accounts }
+ */
+async function fetchStakeAccounts(connection, address, options = {}) {
+  const rewardEpochs = Math.min(options.rewardEpochs ?? 5, MAX_REWARD_EPOCHS);
+  const byAuthority = (offset) => connection.getParsedProgramAccounts(StakeProgram.programId, {
+    filters: [{ memcmp: { offset, bytes: address } }]
+  });
+
+  const [asStaker, asWithdrawer, { epoch }] = await Promise.all([
+    byAuthority(STAKER_OFFSET),
+    byAuthority(WITHDRAWER_OFFSET),
+    connection.getEpochInfo()
+  ]);
+
+  // An account usually has the wallet as both authorities; list it once
+  const accounts = new Map();
+  for (const { pubkey, account } of [...asStaker, ...asWithdrawer]) {
+    const key = pubkey.toBase58();
+    if (!accounts.has(key)) {
+      accounts.set(key, summarizeStakeAccount(key, account, epoch));
+    }
+  }
+
+  const summaries = [...accounts.values()].sort((a, b) => b.balance - a.balance);
+  let rewardsError = null;
+  if (rewardEpochs > 0 && summaries.length > 0) {
+    try {
+      const rewards = await fetchRewards(connection, summaries.map(summary => summary.address), epoch, rewardEpochs);
+      for (const summary of summaries) {
+        summary.rewards = rewards.get(summary.address);
+      }
+    } catch (error) {
+      // Not every RPC node keeps reward history; the accounts are still worth returning
+      console.error(`Could not read inflation rewards: ${error.message}`);
+      rewardsError = error.message;
+    }
+  }
+
+  return {
+    address,
+    epoch,
+    totalStaked: summaries.reduce((total, summary) => total + summary.delegatedStake, 0),
+    accounts: summaries,
+    ...(rewardsError ? { rewardsError } : {})
+  };
+}
+
+export { fetchValidators, fetchStakeAccounts, loadStakeAccount };
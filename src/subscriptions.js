@@ -0,0 +1,298 @@
+/**
+ * Real-time subscriptions for WebSocket clients
+ * Each watched target (account, token balance, signature, logs) gets a single
+ * RPC subscription no matter how many clients follow it; notifications are
+ * fanned out to every subscribed client. Subscriptions are released when the
+ * last client unsubscribes or disconnects.
+ */
+
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import * as splToken from '@solana/spl-token';
+import { config } from './config.js';
+import { getTokenProgramId, fromBaseUnits } from './token-utils.js';
+
+const CHANNELS = ['account', 'tokenBalance', 'signature', 'logs'];
+const WS_OPEN = 1;
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+class SubscriptionManager {
+  /**
+   * @param {Connection|Function} connection - Solana connection, or a function returning the current one
+   * @param {Object} [options]
+   * @param {string} [options.commitment] - Commitment for notifications
+   * @param {number} [options.maxPerClient] - Subscriptions allowed per client
+   */
+  constructor(connection, options = {}) {
+    this.getConnection = typeof connection === 'function' ? connection : () => connection;
+    this.commitment = options.commitment || config.solana.commitment;
+    this.maxPerClient = options.maxPerClient || config.subscriptions.maxPerClient;
+    // subscriptionId -> { id, channel, params, clients, connection, listeners, ready }
+    this.subscriptions = new Map();
+    // client -> Set of subscriptionIds
+    this.clients = new Map();
+  }
+
+  /**
+   * Build the shared subscription id for a request; identical requests share one id
+   */
+  resolveId(channel, params) {
+    switch (channel) {
+      case 'account':
+        return `account:${new PublicKey(params.address).toBase58()}`;
+      case 'tokenBalance':
+        return `tokenBalance:${new PublicKey(params.address).toBase58()}:${new PublicKey(params.mint).toBase58()}`;
+      case 'signature':
+        if (!params.signature) throw new Error('Missing signature parameter');
+        return `signature:${params.signature}`;
+      case 'logs':
+        return `logs:${params.address ? new PublicKey(params.address).toBase58() : 'all'}`;
+      default:
+        throw new Error(`Unknown channel "${channel}" (expected one of ${CHANNELS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Subscribe a client to a channel
+   * @param {WebSocket} client - WebSocket client
+   * @param {Object} request
+   * @param {string} request.channel - 'account', 'tokenBalance', 'signature' or 'logs'
+   * @param {string} [request.address] - Account (account, logs) or owner wallet (tokenBalance)
+   * @param {string} [request.mint] - Token mint (tokenBalance)
+   * @param {string} [request.signature] - Transaction signature (signature)
+   * @returns {Promise<string>} Subscription id used in notifications and to unsubscribe
+   */
+  async subscribe(client, { channel, ...params }) {
+    const id = this.resolveId(channel, params);
+    const clientSubscriptions = this.clients.get(client) || new Set();
+
+    if (clientSubscriptions.has(id)) {
+      return id;
+    }
+    if (clientSubscriptions.size >= this.maxPerClient) {
+      throw new Error(`Subscription limit of ${this.maxPerClient} per client reached`);
+    }
+
+    clientSubscriptions.add(id);
+    this.clients.set(client, clientSubscriptions);
+
+    let subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      subscription = { id, channel, params, clients: new Set(), connection: this.getConnection(), listeners: [], ready: null };
+      this.subscriptions.set(id, subscription);
+      subscription.ready = this.open(subscription);
+    }
+    subscription.clients.add(client);
+
+    try {
+      await subscription.ready;
+    } catch (error) {
+      this.release(client, id);
+      throw new Error(`Failed to subscribe to ${id}: ${error.message}`);
+    }
+
+    return id;
+  }
+
+  /**
+   * Unsubscribe a client from one subscription
+   * @returns {Promise<boolean>} Whether the client was subscribed
+   */
+  async unsubscribe(client, id) {
+    const clientSubscriptions = this.clients.get(client);
+    if (!clientSubscriptions || !clientSubscriptions.has(id)) {
+      return false;
+    }
+
+    await this.release(client, id);
+    return true;
+  }
+
+  /**
+   * Drop every subscription of a disconnected client
+   */
+  async removeClient(client) {
+    const clientSubscriptions = this.clients.get(client);
+    if (!clientSubscriptions) return;
+
+    await Promise.all([...clientSubscriptions].map(id => this.release(client, id)));
+    this.clients.delete(client);
+  }
+
+  /**
+   * List the subscription ids a client holds
+   */
+  list(client) {
+    return [...(this.clients.get(client) || [])];
+  }
+
+  /**
+   * Remove a client from a subscription and close it when nobody is left
+   */
+  async release(client, id) {
+    this.clients.get(client)?.delete(id);
+
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) return;
+
+    subscription.clients.delete(client);
+    if (subscription.clients.size === 0) {
+      await this.close(subscription);
+    }
+  }
+
+  /**
+   * Send a notification to every client of a subscription
+   */
+  notify(subscription, data, extra = {}) {
+    const message = JSON.stringify({
+      type: 'notification',
+      subscriptionId: subscription.id,
+      channel: subscription.channel,
+      data,
+      ...extra
+    });
+
+    for (const client of subscription.clients) {
+      if (client.readyState === WS_OPEN) {
+        client.send(message);
+      }
+    }
+  }
+
+  /**
+   * Open the RPC subscription(s) backing a shared subscription
+   */
+  async open(subscription) {
+    const { channel, params, connection } = subscription;
+
+    switch (channel) {
+      case 'account': {
+        const pubkey = new PublicKey(params.address);
+        const listenerId = connection.onAccountChange(pubkey, (accountInfo, context) => {
+          this.notify(subscription, {
+            address: pubkey.toBase58(),
+            slot: context.slot,
+            lamports: accountInfo.lamports,
+            sol: accountInfo.lamports / LAMPORTS_PER_SOL,
+            owner: accountInfo.owner.toBase58(),
+            executable: accountInfo.executable,
+            dataSize: accountInfo.data.length
+          });
+        }, this.commitment);
+        subscription.listeners.push({ type: 'account', listenerId });
+        break;
+      }
+
+      case 'tokenBalance':
+        await this.openTokenBalance(subscription);
+        break;
+
+      case 'signature': {
+        const { signature } = params;
+        const listenerId = connection.onSignature(signature, (result, context) => {
+          // signatureSubscribe fires once, then the node drops it
+          subscription.listeners = [];
+          this.complete(subscription, { signature, slot: context.slot, err: result.err, confirmed: !result.err });
+        }, this.commitment);
+        subscription.listeners.push({ type: 'signature', listenerId });
+
+        // The transaction may have landed before we subscribed
+        const { value: status } = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+        if (status && COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[this.commitment]) {
+          setImmediate(() => this.complete(subscription, { signature, slot: status.slot, err: status.err, confirmed: !status.err }));
+        }
+        break;
+      }
+
+      case 'logs': {
+        const filter = params.address ? new PublicKey(params.address) : 'all';
+        const listenerId = connection.onLogs(filter, (logs, context) => {
+          this.notify(subscription, {
+            signature: logs.signature,
+            slot: context.slot,
+            err: logs.err,
+            logs: logs.logs
+          });
+        }, this.commitment);
+        subscription.listeners.push({ type: 'logs', listenerId });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Watch every token account a wallet holds for a mint, including the
+   * associated token account if it has not been created yet
+   */
+  async openTokenBalance(subscription) {
+    const { connection } = subscription;
+    const owner = new PublicKey(subscription.params.address);
+    const mint = new PublicKey(subscription.params.mint);
+    const programId = await getTokenProgramId(connection, mint);
+    const { decimals } = await splToken.getMint(connection, mint, this.commitment, programId);
+
+    const { value: accounts } = await connection.getTokenAccountsByOwner(owner, { mint }, this.commitment);
+    const tokenAccounts = accounts.map(({ pubkey }) => pubkey.toBase58());
+    const associated = splToken.getAssociatedTokenAddressSync(mint, owner, true, programId).toBase58();
+    if (!tokenAccounts.includes(associated)) {
+      tokenAccounts.push(associated);
+    }
+
+    for (const tokenAccount of tokenAccounts) {
+      const listenerId = connection.onAccountChange(new PublicKey(tokenAccount), (accountInfo, context) => {
+        // A closed account is reported with empty data
+        const amount = accountInfo.data.length >= splToken.ACCOUNT_SIZE
+          ? splToken.AccountLayout.decode(accountInfo.data.subarray(0, splToken.ACCOUNT_SIZE)).amount
+          : 0n;
+        this.notify(subscription, {
+          owner: owner.toBase58(),
+          mint: mint.toBase58(),
+          tokenAccount,
+          slot: context.slot,
+          amount: amount.toString(),
+          uiAmountString: fromBaseUnits(amount, decimals),
+          decimals
+        });
+      }, this.commitment);
+      subscription.listeners.push({ type: 'account', listenerId });
+    }
+  }
+
+  /**
+   * Deliver the final notification of a one-shot subscription and drop it
+   */
+  complete(subscription, data) {
+    if (this.subscriptions.get(subscription.id) !== subscription) return;
+
+    this.notify(subscription, data, { final: true });
+    for (const client of subscription.clients) {
+      this.clients.get(client)?.delete(subscription.id);
+    }
+    this.close(subscription);
+  }
+
+  /**
+   * Remove the RPC listeners behind a subscription
+   */
+  async close(subscription) {
+    this.subscriptions.delete(subscription.id);
+
+    // Wait for the subscription to finish opening so no listener is leaked
+    await subscription.ready?.catch(() => {});
+
+    const { connection } = subscription;
+    const listeners = subscription.listeners;
+    subscription.listeners = [];
+    for (const { type, listenerId } of listeners) {
+      try {
+        if (type === 'account') await connection.removeAccountChangeListener(listenerId);
+        if (type === 'logs') await connection.removeOnLogsListener(listenerId);
+        if (type === 'signature') await connection.removeSignatureListener(listenerId);
+      } catch (error) {
+        console.error(`Error removing ${type} listener for ${subscription.id}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export { SubscriptionManager, CHANNELS };
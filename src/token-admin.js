@@ -0,0 +1,287 @@
+/**
+ * SPL token mint administration
+ * Builds the unsigned transactions behind the mint tools: creating a mint,
+ * minting and burning supply, changing or revoking authorities, and freezing
+ * token accounts. Works with both the Token and Token-2022 programs; the
+ * program is read from the mint, except when creating one.
+ */
+
+import { Keypair, PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
+import * as splToken from '@solana/spl-token';
+import { toBaseUnits, fromBaseUnits, getTokenProgramId } from './token-utils.js';
+
+// Token programs by the names tools use
+const TOKEN_PROGRAMS = {
+  token: splToken.TOKEN_PROGRAM_ID,
+  'token-2022': splToken.TOKEN_2022_PROGRAM_ID
+};
+
+// Authorities setAuthority can change, and the account kind each applies to
+const AUTHORITY_TYPES = {
+  mint: { type: splToken.AuthorityType.MintTokens, account: 'mint' },
+  freeze: { type: splToken.AuthorityType.FreezeAccount, account: 'mint' },
+  owner: { type: splToken.AuthorityType.AccountOwner, account: 'token' },
+  close: { type: splToken.AuthorityType.CloseAccount, account: 'token' }
+};
+
+/**
+ * Load a mint with the program that owns it
+ * @returns {Promise<Object>} { mint, programId }
+ */
+async function loadMint(connection, mintPubkey, commitment) {
+  const programId = await getTokenProgramId(connection, mintPubkey);
+  const mint = await splToken.getMint(connection, mintPubkey, commitment, programId);
+  return { mint, programId };
+}
+
+/**
+ * Current supply of a mint in UI units
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mintPubkey - Token mint
+ * @param {PublicKey} programId - Owning token program
+ * @returns {Promise<string>} Supply, e.g. "1000000"
+ */
+async function readSupply(connection, mintPubkey, programId) {
+  const mint = await splToken.getMint(connection, mintPubkey, 'confirmed', programId);
+  return fromBaseUnits(mint.supply, mint.decimals);
+}
+
+/**
+ * Resolve a token account of a mint from either the token account itself or
+ * the wallet owning it (its associated token account)
+ * @returns {Promise<Object>} { address, account } where account is null when it does not exist
+ */
+async function resolveTokenAccount(connection, mintPubkey, address, programId, commitment) {
+  const pubkey = new PublicKey(address);
+  const info = await connection.getAccountInfo(pubkey, commitment);
+
+  if (info && info.owner.equals(programId)) {
+    const account = splToken.unpackAccount(pubkey, info, programId);
+    if (!account.mint.equals(mintPubkey)) {
+      throw new Error(`Token account ${address} holds mint ${account.mint.toString()}, not ${mintPubkey.toString()}`);
+    }
+    return { address: pubkey, account };
+  }
+
+  const ata = await splToken.getAssociatedTokenAddress(mintPubkey, pubkey, true, programId);
+  try {
+    return { address: ata, account: await splToken.getAccount(connection, ata, commitment, programId) };
+  } catch (error) {
+    return { address: ata, account: null };
+  }
+}
+
+/**
+ * Require a mint authority to be set and held by the signer
+ */
+function requireAuthority(current, signer, label) {
+  if (!current) {
+    throw new Error(`The ${label} authority of this mint has been revoked`);
+  }
+  if (!current.equals(signer)) {
+    throw new Error(`${signer.toString()} is not the ${label} authority (${current.toString()})`);
+  }
+}
+
+/**
+ * Build a transaction creating and initializing a new mint
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.payer - Wallet paying rent and fees
+ * @param {number} params.decimals - Mint decimals
+ * @param {PublicKey} params.mintAuthority - Mint authority
+ * @param {PublicKey|null} params.freezeAuthority - Freeze authority, or null for none
+ * @param {string} [params.tokenProgram='token'] - 'token' or 'token-2022'
+ * @returns {Promise<Object>} Transaction, the new mint keypair (a required signer) and the rent paid
+ */
+async function buildCreateMint(connection, { payer, decimals, mintAuthority, freezeAuthority, tokenProgram = 'token' }) {
+  const programId = TOKEN_PROGRAMS[tokenProgram];
+  if (!programId) {
+    throw new Error(`Unknown token program "${tokenProgram}": expected ${Object.keys(TOKEN_PROGRAMS).join(' or ')}`);
+  }
+
+  const mintKeypair = Keypair.generate();
+  const space = splToken.getMintLen([]);
+  const rentLamports = await connection.getMinimumBalanceForRentExemption(space);
+
+  const transaction = new Transaction().add(
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: mintKeypair.publicKey,
+      space,
+      lamports: rentLamports,
+      programId
+    }),
+    splToken.createInitializeMint2Instruction(mintKeypair.publicKey, decimals, mintAuthority, freezeAuthority, programId)
+  );
+
+  return { transaction, mintKeypair, programId, rentLamports };
+}
+
+/**
+ * Build a transaction minting tokens to a wallet, creating its associated
+ * token account when missing
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.mintPubkey - Token mint
+ * @param {PublicKey} params.authority - Mint authority (signer and fee payer)
+ * @param {PublicKey} params.destinationOwner - Wallet receiving the tokens
+ * @param {number|string} params.amount - Amount in UI units
+ * @param {string} [params.commitment] - Commitment for account lookups
+ * @returns {Promise<Object>} Transaction plus resolved mint details
+ */
+async function buildMintTo(connection, { mintPubkey, authority, destinationOwner, amount, commitment }) {
+  const { mint, programId } = await loadMint(connection, mintPubkey, commitment);
+  requireAuthority(mint.mintAuthority, authority, 'mint');
+
+  const rawAmount = toBaseUnits(amount, mint.decimals);
+  if (rawAmount <= 0n) {
+    throw new Error(`Amount ${amount} is below the smallest unit of this token`);
+  }
+
+  const destinationTokenAccount = await splToken.getAssociatedTokenAddress(mintPubkey, destinationOwner, true, programId);
+  const transaction = new Transaction();
+
+  const destinationInfo = await connection.getAccountInfo(destinationTokenAccount, commitment);
+  const createdDestinationAccount = !destinationInfo;
+  if (createdDestinationAccount) {
+    transaction.add(
+      splToken.createAssociatedTokenAccountInstruction(authority, destinationTokenAccount, destinationOwner, mintPubkey, programId)
+    );
+  }
+
+  transaction.add(
+    splToken.createMintToCheckedInstruction(mintPubkey, destinationTokenAccount, authority, rawAmount, mint.decimals, [], programId)
+  );
+
+  return { transaction, programId, rawAmount, decimals: mint.decimals, destinationTokenAccount, createdDestinationAccount };
+}
+
+/**
+ * Build a transaction burning tokens from a wallet's associated token account
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.mintPubkey - Token mint
+ * @param {PublicKey} params.owner - Token owner (signer and fee payer)
+ * @param {number|string} params.amount - Amount in UI units
+ * @param {string} [params.commitment] - Commitment for account lookups
+ * @returns {Promise<Object>} Transaction plus resolved burn details
+ */
+async function buildBurn(connection, { mintPubkey, owner, amount, commitment }) {
+  const { mint, programId } = await loadMint(connection, mintPubkey, commitment);
+  const rawAmount = toBaseUnits(amount, mint.decimals);
+  if (rawAmount <= 0n) {
+    throw new Error(`Amount ${amount} is below the smallest unit of this token`);
+  }
+
+  const { address: tokenAccount, account } = await resolveTokenAccount(connection, mintPubkey, owner, programId, commitment);
+  if (!account) {
+    throw new Error(`Wallet has no token account for mint ${mintPubkey.toString()}`);
+  }
+  if (account.amount < rawAmount) {
+    throw new Error(`Insufficient token balance: have ${account.amount}, need ${rawAmount} base units`);
+  }
+
+  const transaction = new Transaction().add(
+    splToken.createBurnCheckedInstruction(tokenAccount, mintPubkey, owner, rawAmount, mint.decimals, [], programId)
+  );
+
+  return { transaction, programId, rawAmount, decimals: mint.decimals, tokenAccount };
+}
+
+/**
+ * Build a transaction changing or revoking an authority. Mint and freeze
+ * authorities live on the mint; owner and close authorities on a token account.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.target - Mint, or the token account (or its owner wallet) for owner/close
+ * @param {PublicKey} [params.mintPubkey] - Mint of the token account, for owner/close given as a wallet
+ * @param {string} params.authorityType - 'mint', 'freeze', 'owner' or 'close'
+ * @param {PublicKey} params.currentAuthority - Current authority (signer and fee payer)
+ * @param {PublicKey|null} params.newAuthority - New authority, or null to revoke
+ * @param {string} [params.commitment] - Commitment for account lookups
+ * @returns {Promise<Object>} Transaction plus the account changed and the previous authority
+ */
+async function buildSetAuthority(connection, { target, mintPubkey, authorityType, currentAuthority, newAuthority, commitment }) {
+  const authority = AUTHORITY_TYPES[authorityType];
+  if (!authority) {
+    throw new Error(`Unknown authority type "${authorityType}": expected ${Object.keys(AUTHORITY_TYPES).join(', ')}`);
+  }
+
+  let account;
+  let programId;
+  let previousAuthority;
+
+  if (authority.account === 'mint') {
+    let mint;
+    ({ mint, programId } = await loadMint(connection, target, commitment));
+    previousAuthority = authorityType === 'mint' ? mint.mintAuthority : mint.freezeAuthority;
+    requireAuthority(previousAuthority, currentAuthority, authorityType);
+    account = target;
+  } else {
+    if (!mintPubkey) {
+      throw new Error(`mintAddress is required to change the ${authorityType} authority of a token account`);
+    }
+    programId = await getTokenProgramId(connection, mintPubkey);
+    const resolved = await resolveTokenAccount(connection, mintPubkey, target, programId, commitment);
+    if (!resolved.account) {
+      throw new Error(`No token account for mint ${mintPubkey.toString()} at ${target.toString()}`);
+    }
+    previousAuthority = authorityType === 'owner'
+      ? resolved.account.owner
+      : resolved.account.closeAuthority || resolved.account.owner;
+    if (!previousAuthority.equals(currentAuthority)) {
+      throw new Error(`${currentAuthority.toString()} is not the ${authorityType} authority (${previousAuthority.toString()})`);
+    }
+    if (authorityType === 'owner' && !newAuthority) {
+      throw new Error('The owner of a token account cannot be revoked');
+    }
+    account = resolved.address;
+  }
+
+  const transaction = new Transaction().add(
+    splToken.createSetAuthorityInstruction(account, currentAuthority, authority.type, newAuthority, [], programId)
+  );
+
+  return { transaction, programId, account, previousAuthority };
+}
+
+/**
+ * Build a transaction freezing or thawing a token account
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params
+ * @param {PublicKey} params.mintPubkey - Token mint
+ * @param {string} params.account - Token account, or the wallet owning it
+ * @param {PublicKey} params.freezeAuthority - Freeze authority (signer and fee payer)
+ * @param {boolean} params.freeze - true to freeze, false to thaw
+ * @param {string} [params.commitment] - Commitment for account lookups
+ * @returns {Promise<Object>} Transaction plus the token account
+ */
+async function buildFreezeOrThaw(connection, { mintPubkey, account, freezeAuthority, freeze, commitment }) {
+  const { mint, programId } = await loadMint(connection, mintPubkey, commitment);
+  requireAuthority(mint.freezeAuthority, freezeAuthority, 'freeze');
+
+  const { address: tokenAccount, account: tokenAccountInfo } = await resolveTokenAccount(connection, mintPubkey, account, programId, commitment);
+  if (!tokenAccountInfo) {
+    throw new Error(`No token account for mint ${mintPubkey.toString()} at ${account}`);
+  }
+  if (tokenAccountInfo.isFrozen === freeze) {
+    throw new Error(`Token account ${tokenAccount.toString()} is already ${freeze ? 'frozen' : 'thawed'}`);
+  }
+
+  const build = freeze ? splToken.createFreezeAccountInstruction : splToken.createThawAccountInstruction;
+  const transaction = new Transaction().add(build(tokenAccount, mintPubkey, freezeAuthority, [], programId));
+
+  return { transaction, programId, tokenAccount };
+}
+
+export {
+  TOKEN_PROGRAMS,
+  AUTHORITY_TYPES,
+  buildCreateMint,
+  buildMintTo,
+  buildBurn,
+  buildSetAuthority,
+  buildFreezeOrThaw,
+  readSupply
+};
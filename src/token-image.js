@@ -0,0 +1,229 @@
+/**
+ * Token image loading and validation
+ * createPumpFunToken takes its image as a local path, a base64 data URI or an
+ * https URL. Whatever the source, the bytes are sniffed for their real format
+ * and checked against the size and dimension limits before anything is
+ * uploaded, so a bad image fails early with a clear message.
+ */
+
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+
+// Formats pump.fun accepts, with the file extension used for the upload
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Detect the image format from its magic bytes
+ * @returns {string|null} MIME type, or null when not a supported image
+ */
+function sniffMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Width and height of a JPEG, from its first start-of-frame segment
+ */
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Width and height of a WebP (lossy, lossless or extended)
+ */
+function webpDimensions(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read the pixel dimensions of a supported image
+ * @returns {Object|null} { width, height }, or null when the header is malformed
+ */
+function imageDimensions(buffer, mimeType) {
+  switch (mimeType) {
+    case 'image/png':
+      return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+    case 'image/gif':
+      return buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null;
+    case 'image/jpeg':
+      return jpegDimensions(buffer);
+    case 'image/webp':
+      return webpDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check an image against the configured format, size and dimension limits
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} source - Where the image came from, for error messages
+ * @returns {Object} { mimeType, width, height, size }
+ */
+function validateImage(buffer, source) {
+  const { maxBytes, minDimension, maxDimension } = config.pumpfun.image;
+
+  if (buffer.length === 0) {
+    throw new Error(`Image from ${source} is empty`);
+  }
+  if (buffer.length > maxBytes) {
+    throw new Error(`Image from ${source} is ${buffer.length} bytes; the limit is ${maxBytes}`);
+  }
+
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    throw new Error(`Image from ${source} is not a PNG, JPEG, GIF or WebP file`);
+  }
+
+  const dimensions = imageDimensions(buffer, mimeType);
+  if (!dimensions) {
+    throw new Error(`Could not read the dimensions of the ${mimeType} image from ${source}; the file looks corrupt`);
+  }
+
+  const { width, height } = dimensions;
+  if (Math.min(width, height) < minDimension || Math.max(width, height) > maxDimension) {
+    throw new Error(`Image from ${source} is ${width}x${height}; width and height must be between ${minDimension} and ${maxDimension} pixels`);
+  }
+
+  return { mimeType, width, height, size: buffer.length };
+}
+
+/**
+ * Read an image file; the path must resolve inside the configured image directory
+ */
+async function readLocalImage(imagePath) {
+  const root = path.resolve(config.pumpfun.image.dir);
+  const resolved = path.resolve(root, imagePath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Image path ${imagePath} is outside the image directory (PUMPFUN_IMAGE_DIR)`);
+  }
+
+  try {
+    return await fs.readFile(resolved);
+  } catch (error) {
+    throw new Error(`Cannot read image file ${imagePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Decode a base64 image, with or without a data: URI prefix
+ */
+function decodeBase64Image(imageBase64) {
+  const match = imageBase64.match(/^data:([^;,]+)?;base64,(.*)$/s);
+  const declaredType = match ? match[1] : null;
+  const data = (match ? match[2] : imageBase64).replace(/\s/g, '');
+
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+    throw new Error('imageBase64 is not valid base64');
+  }
+
+  return { buffer: Buffer.from(data, 'base64'), declaredType };
+}
+
+/**
+ * Download an image over https, stopping at the size limit
+ */
+async function downloadImage(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    throw new Error(`Invalid image URL: ${imageUrl}`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error('Image URLs must use https');
+  }
+
+  const { maxBytes, downloadTimeoutMs } = config.pumpfun.image;
+  try {
+    const response = await axios.get(url.toString(), {
+      responseType: 'arraybuffer',
+      timeout: downloadTimeoutMs,
+      maxContentLength: maxBytes,
+      maxRedirects: 3
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`Image download failed with status ${error.response.status}`);
+    }
+    throw new Error(`Image download failed: ${error.message}`);
+  }
+}
+
+/**
+ * Load and validate a token image from exactly one source
+ * @param {Object} source
+ * @param {string} [source.imagePath] - Path under PUMPFUN_IMAGE_DIR
+ * @param {string} [source.imageBase64] - Base64 data or a data: URI
+ * @param {string} [source.imageUrl] - https URL
+ * @returns {Promise<Object|null>} { buffer, filename, mimeType, width, height, size }, or null when no source is given
+ */
+async function loadTokenImage({ imagePath, imageBase64, imageUrl } = {}) {
+  const given = [imagePath, imageBase64, imageUrl].filter(Boolean);
+  if (given.length === 0) return null;
+  if (given.length > 1) {
+    throw new Error('Provide only one of imagePath, imageBase64 or imageUrl');
+  }
+
+  let buffer;
+  let source;
+  let declaredType = null;
+  if (imagePath) {
+    buffer = await readLocalImage(imagePath);
+    source = imagePath;
+  } else if (imageBase64) {
+    ({ buffer, declaredType } = decodeBase64Image(imageBase64));
+    source = 'imageBase64';
+  } else {
+    buffer = await downloadImage(imageUrl);
+    source = new URL(imageUrl).hostname;
+  }
+
+  const info = validateImage(buffer, source);
+  if (declaredType && declaredType !== info.mimeType) {
+    throw new Error(`${source} is declared as ${declaredType} but contains ${info.mimeType} data`);
+  }
+  return { buffer, filename: `image.${IMAGE_TYPES[info.mimeType]}`, ...info };
+}
+
+export { loadTokenImage, validateImage, sniffMimeType };
@@ -0,0 +1,405 @@
+/**
+ * Token metadata lookup
+ * Reads Metaplex Token Metadata accounts, falling back to the Token-2022
+ * metadata extension stored on the mint itself, and builds the instructions
+ * that create and update Metaplex metadata.
+ */
+
+import axios from 'axios';
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import { config } from './config.js';
+
+const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+// Account key tag of a Metaplex MetadataV1 account
+const METADATA_V1_KEY = 4;
+// Accounts per getMultipleAccountsInfo call
+const ACCOUNTS_BATCH = 100;
+
+// Token Metadata instruction discriminators
+const CREATE_METADATA_ACCOUNT_V3 = 33;
+const UPDATE_METADATA_ACCOUNT_V2 = 15;
+// Byte limits the program enforces on metadata strings
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+// Largest off-chain metadata JSON we download
+const MAX_JSON_BYTES = 1024 * 1024;
+// Metaplex UseMethod enum, by discriminant
+const USE_METHODS = ['burn', 'multiple', 'single'];
+
+/**
+ * Derive the Metaplex metadata account for a mint
+ * @param {PublicKey} mint - Token mint
+ * @returns {PublicKey} Metadata PDA
+ */
+function getMetadataAddress(mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), TOKEN_METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    TOKEN_METADATA_PROGRAM_ID
+  );
+  return address;
+}
+
+/**
+ * Decode a Metaplex metadata account (fixed-size strings are null padded)
+ * @param {Buffer} data - Account data
+ * @returns {Object} Update authority, mint, name, symbol, uri, royalties, creators,
+ *   collection and uses
+ */
+function decodeMetadata(data) {
+  if (data[0] !== METADATA_V1_KEY) {
+    throw new Error('Account is not a Metaplex metadata account');
+  }
+
+  let offset = 1;
+  const readPublicKey = () => {
+    const key = new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+    offset += 32;
+    return key;
+  };
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf-8').replace(/\0+$/, '');
+    offset += 4 + length;
+    return value;
+  };
+
+  const updateAuthority = readPublicKey();
+  const mint = readPublicKey();
+  const name = readString().trim();
+  const symbol = readString().trim();
+  const uri = readString().trim();
+  const sellerFeeBasisPoints = data.readUInt16LE(offset);
+  offset += 2;
+
+  const creators = [];
+  if (data[offset++] === 1) {
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    for (let i = 0; i < count; i++) {
+      const address = readPublicKey();
+      creators.push({ address, verified: data[offset] === 1, share: data[offset + 1] });
+      offset += 2;
+    }
+  }
+
+  const primarySaleHappened = data[offset] === 1;
+  const isMutable = data[offset + 1] === 1;
+  offset += 2;
+
+  // Optional trailing fields; accounts written by older program versions end early
+  const readOption = (size, read) => {
+    if (offset >= data.length || data[offset++] !== 1) return null;
+    if (offset + size > data.length) return null;
+    return read();
+  };
+  readOption(1, () => data[offset++]); // edition nonce
+  readOption(1, () => data[offset++]); // token standard
+  const collection = readOption(33, () => {
+    const verified = data[offset++] === 1;
+    return { verified, key: readPublicKey() };
+  });
+  const uses = readOption(17, () => {
+    const value = {
+      useMethod: USE_METHODS[data[offset]],
+      remaining: data.readBigUInt64LE(offset + 1).toString(),
+      total: data.readBigUInt64LE(offset + 9).toString()
+    };
+    offset += 17;
+    return value;
+  });
+
+  return {
+    updateAuthority,
+    mint,
+    name,
+    symbol,
+    uri,
+    sellerFeeBasisPoints,
+    creators,
+    primarySaleHappened,
+    isMutable,
+    collection,
+    uses
+  };
+}
+
+/**
+ * Read and decode the Metaplex metadata account of one mint
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @returns {Promise<Object|null>} Decoded metadata with its address, or null when the mint has none
+ */
+async function fetchMetadataAccount(connection, mint) {
+  const address = getMetadataAddress(mint);
+  const account = await connection.getAccountInfo(address);
+  if (!account || !account.owner.equals(TOKEN_METADATA_PROGRAM_ID)) return null;
+  return { address: address.toBase58(), ...decodeMetadata(account.data) };
+}
+
+/**
+ * Borsh writer for the instruction layouts below
+ */
+class BorshWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  u8(value) {
+    this.chunks.push(Buffer.from([value]));
+  }
+
+  bool(value) {
+    this.u8(value ? 1 : 0);
+  }
+
+  u16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    this.chunks.push(buffer);
+  }
+
+  u32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    this.chunks.push(buffer);
+  }
+
+  u64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64LE(BigInt(value));
+    this.chunks.push(buffer);
+  }
+
+  string(value) {
+    const bytes = Buffer.from(value, 'utf-8');
+    this.u32(bytes.length);
+    this.chunks.push(bytes);
+  }
+
+  publicKey(value) {
+    this.chunks.push(new PublicKey(value).toBuffer());
+  }
+
+  // Borsh Option: a 0/1 tag, then the value when present
+  option(value, write) {
+    if (value === null || value === undefined) {
+      this.u8(0);
+    } else {
+      this.u8(1);
+      write(value);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Check metadata fields against the limits the program enforces
+ */
+function validateMetadataData({ name, symbol, uri, sellerFeeBasisPoints }) {
+  const limits = [['name', name, MAX_NAME_LENGTH], ['symbol', symbol, MAX_SYMBOL_LENGTH], ['uri', uri, MAX_URI_LENGTH]];
+  for (const [field, value, max] of limits) {
+    if (Buffer.byteLength(value, 'utf-8') > max) {
+      throw new Error(`Metadata ${field} is longer than ${max} bytes`);
+    }
+  }
+  if (!Number.isInteger(sellerFeeBasisPoints) || sellerFeeBasisPoints < 0 || sellerFeeBasisPoints > 10000) {
+    throw new Error('sellerFeeBasisPoints must be an integer between 0 and 10000');
+  }
+}
+
+/**
+ * Write a DataV2 struct: name, symbol, uri, royalties, creators, collection
+ * and uses. Updates must pass the current collection and uses back, or the
+ * program clears them (and rejects clearing a verified collection).
+ */
+function writeDataV2(writer, data) {
+  validateMetadataData(data);
+  writer.string(data.name);
+  writer.string(data.symbol);
+  writer.string(data.uri);
+  writer.u16(data.sellerFeeBasisPoints);
+  writer.option(data.creators && data.creators.length > 0 ? data.creators : null, creators => {
+    writer.u32(creators.length);
+    for (const creator of creators) {
+      writer.publicKey(creator.address);
+      writer.bool(creator.verified);
+      writer.u8(creator.share);
+    }
+  });
+  writer.option(data.collection, collection => {
+    writer.bool(collection.verified);
+    writer.publicKey(collection.key);
+  });
+  writer.option(data.uses, uses => {
+    writer.u8(USE_METHODS.indexOf(uses.useMethod));
+    writer.u64(uses.remaining);
+    writer.u64(uses.total);
+  });
+}
+
+/**
+ * Build a CreateMetadataAccountV3 instruction
+ * @param {Object} params
+ * @param {PublicKey} params.mint - Token mint
+ * @param {PublicKey} params.mintAuthority - Mint authority (signer)
+ * @param {PublicKey} params.payer - Pays for the metadata account (signer)
+ * @param {PublicKey} params.updateAuthority - Update authority of the metadata
+ * @param {boolean} params.updateAuthorityIsSigner - Whether the update authority signs too
+ * @param {Object} params.data - { name, symbol, uri, sellerFeeBasisPoints, creators }
+ * @param {boolean} params.isMutable - Whether the metadata can be updated later
+ * @returns {TransactionInstruction}
+ */
+function createMetadataInstruction({ mint, mintAuthority, payer, updateAuthority, updateAuthorityIsSigner, data, isMutable }) {
+  const writer = new BorshWriter();
+  writer.u8(CREATE_METADATA_ACCOUNT_V3);
+  writeDataV2(writer, data);
+  writer.bool(isMutable);
+  writer.option(null); // collection details
+
+  return new TransactionInstruction({
+    programId: TOKEN_METADATA_PROGRAM_ID,
+    keys: [
+      { pubkey: getMetadataAddress(mint), isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: mintAuthority, isSigner: true, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: updateAuthority, isSigner: updateAuthorityIsSigner, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false }
+    ],
+    data: writer.toBuffer()
+  });
+}
+
+/**
+ * Build an UpdateMetadataAccountV2 instruction. Omitted (null) fields are left unchanged.
+ * @param {Object} params
+ * @param {PublicKey} params.mint - Token mint
+ * @param {PublicKey} params.updateAuthority - Current update authority (signer)
+ * @param {Object} [params.data] - Full replacement { name, symbol, uri, sellerFeeBasisPoints, creators, collection, uses }
+ * @param {PublicKey} [params.newUpdateAuthority] - New update authority
+ * @param {boolean} [params.isMutable] - Only false is accepted by the program: it locks the metadata
+ * @returns {TransactionInstruction}
+ */
+function updateMetadataInstruction({ mint, updateAuthority, data = null, newUpdateAuthority = null, isMutable = null }) {
+  const writer = new BorshWriter();
+  writer.u8(UPDATE_METADATA_ACCOUNT_V2);
+  writer.option(data, value => writeDataV2(writer, value));
+  writer.option(newUpdateAuthority, value => writer.publicKey(value));
+  writer.option(null); // primary sale happened
+  writer.option(isMutable, value => writer.bool(value));
+
+  return new TransactionInstruction({
+    programId: TOKEN_METADATA_PROGRAM_ID,
+    keys: [
+      { pubkey: getMetadataAddress(mint), isSigner: false, isWritable: true },
+      { pubkey: updateAuthority, isSigner: true, isWritable: false }
+    ],
+    data: writer.toBuffer()
+  });
+}
+
+/**
+ * Turn a metadata URI into an https URL: ipfs:// and ar:// URIs go through
+ * the configured gateways
+ * @returns {string} URL to fetch
+ */
+function resolveMetadataUri(uri) {
+  if (uri.startsWith('ipfs://')) {
+    return `${config.storage.ipfs.gatewayUrl.replace(/\/+$/, '')}/${uri.slice('ipfs://'.length).replace(/^ipfs\//, '')}`;
+  }
+  if (uri.startsWith('ar://')) {
+    return `${config.storage.arweave.gatewayUrl.replace(/\/+$/, '')}/${uri.slice('ar://'.length)}`;
+  }
+  return uri;
+}
+
+/**
+ * Download the off-chain metadata JSON a metadata URI points at
+ * @param {string} uri - URI stored on-chain
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchOffChainMetadata(uri) {
+  const url = new URL(resolveMetadataUri(uri));
+  if (url.protocol !== 'https:') {
+    throw new Error(`Metadata URI must use https, ipfs:// or ar://: ${uri}`);
+  }
+
+  let response;
+  try {
+    response = await axios.get(url.toString(), {
+      responseType: 'json',
+      timeout: config.storage.timeoutMs,
+      maxContentLength: MAX_JSON_BYTES,
+      maxRedirects: 3
+    });
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`Metadata download failed with status ${error.response.status}`);
+    }
+    throw new Error(`Metadata download failed: ${error.message}`);
+  }
+
+  if (!response.data || typeof response.data !== 'object') {
+    throw new Error('Metadata URI did not return a JSON object');
+  }
+  return response.data;
+}
+
+/**
+ * Fetch name, symbol and uri for a set of mints
+ * @param {Connection} connection - Solana connection
+ * @param {Array<string>} mints - Mint addresses
+ * @returns {Promise<Map<string, Object>>} Metadata by mint; mints without metadata are absent
+ */
+async function fetchTokenMetadata(connection, mints) {
+  const metadata = new Map();
+  const mintKeys = mints.map(mint => new PublicKey(mint));
+
+  for (let i = 0; i < mintKeys.length; i += ACCOUNTS_BATCH) {
+    const batch = mintKeys.slice(i, i + ACCOUNTS_BATCH);
+    const accounts = await connection.getMultipleAccountsInfo(batch.map(getMetadataAddress));
+
+    accounts.forEach((account, index) => {
+      if (!account || !account.owner.equals(TOKEN_METADATA_PROGRAM_ID)) return;
+      try {
+        const { name, symbol, uri } = decodeMetadata(account.data);
+        metadata.set(batch[index].toBase58(), { name, symbol, uri, source: 'metaplex' });
+      } catch (error) {
+        console.error(`Could not decode metadata for ${batch[index].toBase58()}: ${error.message}`);
+      }
+    });
+  }
+
+  // Token-2022 mints may carry their metadata in a mint extension instead
+  const remaining = mintKeys.filter(mint => !metadata.has(mint.toBase58()));
+  for (let i = 0; i < remaining.length; i += ACCOUNTS_BATCH) {
+    const batch = remaining.slice(i, i + ACCOUNTS_BATCH);
+    const { value } = await connection.getMultipleParsedAccounts(batch);
+
+    value.forEach((account, index) => {
+      const extensions = account?.data?.parsed?.info?.extensions || [];
+      const extension = extensions.find(ext => ext.extension === 'tokenMetadata');
+      if (extension) {
+        const { name, symbol, uri } = extension.state;
+        metadata.set(batch[index].toBase58(), { name, symbol, uri, source: 'token-2022' });
+      }
+    });
+  }
+
+  return metadata;
+}
+
+export {
+  TOKEN_METADATA_PROGRAM_ID,
+  getMetadataAddress,
+  decodeMetadata,
+  fetchTokenMetadata,
+  fetchMetadataAccount,
+  createMetadataInstruction,
+  updateMetadataInstruction,
+  fetchOffChainMetadata
+};
@@ -0,0 +1,187 @@
+/**
+ * SPL token helpers shared by the Solana API modules
+ * Supports both the Token and Token-2022 programs
+ */
+
+import { Transaction } from '@solana/web3.js';
+import * as splToken from '@solana/spl-token';
+
+/**
+ * Plain decimal text of a number, never in exponent notation (1e21, 1.5e-9)
+ */
+function numberToDecimalString(amount) {
+  const text = amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+  // Digits beyond the 20th fractional place would be rounded away
+  if (Number.isFinite(amount) && Number(text) !== amount) {
+    throw new Error(`Invalid token amount: ${amount}`);
+  }
+  return text;
+}
+
+/**
+ * Convert a UI token amount to integer base units without float rounding.
+ * Amounts with more decimal places than the mint has are rejected, not rounded.
+ * @param {number|string} amount - Amount in UI units
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Amount in base units
+ */
+function toBaseUnits(amount, decimals) {
+  const text = typeof amount === 'number' ? numberToDecimalString(amount) : String(amount).trim();
+  const [whole, fraction = ''] = text.split('.');
+
+  if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || !(whole || fraction)) {
+    throw new Error(`Invalid token amount: ${amount}`);
+  }
+
+  if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimal places`);
+  }
+
+  const padded = fraction.slice(0, decimals).padEnd(decimals, '0');
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(padded || '0');
+}
+
+/**
+ * Convert integer base units to a UI amount string without float rounding
+ * @param {bigint|string} rawAmount - Amount in base units
+ * @param {number} decimals - Mint decimals
+ * @returns {string} Amount in UI units, e.g. "12.5"
+ */
+function fromBaseUnits(rawAmount, decimals) {
+  const raw = BigInt(rawAmount);
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Resolve the token program (Token or Token-2022) that owns a mint
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mintPubkey - Token mint address
+ * @returns {Promise<PublicKey>} Owning token program id
+ */
+async function getTokenProgramId(connection, mintPubkey) {
+  const mintInfo = await connection.getAccountInfo(mintPubkey);
+
+  if (!mintInfo) {
+    throw new Error(`Mint ${mintPubkey.toString()} does not exist`);
+  }
+
+  if (mintInfo.owner.equals(splToken.TOKEN_PROGRAM_ID) || mintInfo.owner.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+    return mintInfo.owner;
+  }
+
+  throw new Error(`Account ${mintPubkey.toString()} is not an SPL token mint`);
+}
+
+/**
+ * Get a readable name for a token program id
+ * @param {PublicKey} programId - Token program id
+ * @returns {string} 'token-2022' or 'token'
+ */
+function tokenProgramName(programId) {
+  return programId.equals(splToken.TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'token';
+}
+
+/**
+ * Size of a new associated token account for a mint. Token-2022 accounts
+ * carry the extensions the mint requires, plus the ImmutableOwner extension
+ * the associated token program adds.
+ */
+function tokenAccountSize(mint, programId) {
+  if (!programId.equals(splToken.TOKEN_2022_PROGRAM_ID)) {
+    return splToken.ACCOUNT_SIZE;
+  }
+  const extensions = splToken.getExtensionTypes(mint.tlvData)
+    .map(splToken.getAccountTypeOfMintType)
+    .filter(type => type !== splToken.ExtensionType.Uninitialized);
+  return splToken.getAccountLen([...extensions, splToken.ExtensionType.ImmutableOwner]);
+}
+
+/**
+ * Build an unsigned SPL token transfer transaction.
+ * Resolves both associated token accounts, checks the sender balance and
+ * prepends an instruction creating the recipient account when it is missing.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params - Transfer parameters
+ * @param {PublicKey} params.fromPubkey - Sender wallet (owner and fee payer)
+ * @param {PublicKey} params.toPubkey - Recipient wallet
+ * @param {PublicKey} params.mintPubkey - Token mint
+ * @param {number|string} params.amount - Amount in UI units
+ * @param {string} [params.commitment] - Commitment for account lookups
+ * @returns {Promise<Object>} Transaction plus resolved transfer details, including
+ *   rentLamports the sender pays for a created recipient account
+ */
+async function buildTokenTransfer(connection, { fromPubkey, toPubkey, mintPubkey, amount, commitment }) {
+  // Look up the owning program and decimals of the mint
+  const programId = await getTokenProgramId(connection, mintPubkey);
+  const mint = await splToken.getMint(connection, mintPubkey, commitment, programId);
+  const rawAmount = toBaseUnits(amount, mint.decimals);
+
+  if (rawAmount <= 0n) {
+    throw new Error(`Amount ${amount} is below the smallest unit of this token`);
+  }
+
+  // Resolve associated token accounts for both sides
+  const sourceTokenAccount = await splToken.getAssociatedTokenAddress(mintPubkey, fromPubkey, false, programId);
+  const destinationTokenAccount = await splToken.getAssociatedTokenAddress(mintPubkey, toPubkey, true, programId);
+
+  // Make sure the sender holds enough tokens
+  let sourceAccount;
+  try {
+    sourceAccount = await splToken.getAccount(connection, sourceTokenAccount, commitment, programId);
+  } catch (error) {
+    throw new Error(`Sender has no token account for mint ${mintPubkey.toString()}`);
+  }
+
+  if (sourceAccount.amount < rawAmount) {
+    throw new Error(`Insufficient token balance: have ${sourceAccount.amount}, need ${rawAmount} base units`);
+  }
+
+  const transaction = new Transaction();
+
+  // Create the recipient's token account if needed
+  const destinationInfo = await connection.getAccountInfo(destinationTokenAccount);
+  const createdDestinationAccount = !destinationInfo;
+  let rentLamports = 0;
+  if (createdDestinationAccount) {
+    rentLamports = await connection.getMinimumBalanceForRentExemption(tokenAccountSize(mint, programId));
+    transaction.add(
+      splToken.createAssociatedTokenAccountInstruction(
+        fromPubkey,
+        destinationTokenAccount,
+        toPubkey,
+        mintPubkey,
+        programId
+      )
+    );
+  }
+
+  transaction.add(
+    splToken.createTransferCheckedInstruction(
+      sourceTokenAccount,
+      mintPubkey,
+      destinationTokenAccount,
+      fromPubkey,
+      rawAmount,
+      mint.decimals,
+      [],
+      programId
+    )
+  );
+
+  return {
+    transaction,
+    programId,
+    rawAmount,
+    decimals: mint.decimals,
+    sourceTokenAccount,
+    destinationTokenAccount,
+    createdDestinationAccount,
+    rentLamports
+  };
+}
+
+export { toBaseUnits, fromBaseUnits, getTokenProgramId, tokenProgramName, buildTokenTransfer };
@@ -0,0 +1,690 @@
+/**
+ * Tool registry
+ * The single set of tool definitions behind every interface: the MCP SDK
+ * server registers each tool with its schema, the Express app mounts the
+ * REST binding, and WebSocket `mcp` messages and /api/mcp/execute dispatch
+ * by name. All of them go through runTool, so names, validation, approval
+ * handling and results are identical everywhere.
+ */
+
+import { z } from 'zod';
+import { solanaAPI } from './solana-api.js';
+import { approvalQueue } from './approvals.js';
+import { config } from './config.js';
+import { createPumpFunToken, buyPumpFunToken, sellPumpFunToken, TRADE_POOLS } from './pumpfun.js';
+import { CLUSTERS, isValidNetwork, networkLabel } from './clusters.js';
+import { FEE_LEVELS } from './fees.js';
+import { TOKEN_PROGRAMS, AUTHORITY_TYPES } from './token-admin.js';
+
+const addressSchema = () => z.string().min(32).max(44);
+const signatureSchema = () => z.string().min(64).max(88);
+// Keystore wallet label or public key
+const walletSchema = () => z.string().min(1).max(64);
+// Preview without sending
+const simulateSchema = () => z.boolean().optional().default(false);
+// Cluster to run against; SOLANA_NETWORK when omitted
+const networkSchema = () => z.string()
+  .refine(isValidNetwork, `Expected ${CLUSTERS.join(', ')} or a configured RPC URL`)
+  .optional()
+  .describe(`Cluster: ${CLUSTERS.join(', ')} or a configured RPC URL (default: SOLANA_NETWORK)`);
+
+// Compute unit price preset for transactions we build
+const priorityLevelSchema = () => z.enum(FEE_LEVELS).optional()
+  .describe('Priority fee preset from recent fees (default: PRIORITY_FEE_LEVEL)');
+// PumpPortal priority fee: SOL amount or a preset priced from recent fees
+const priorityFeeSchema = () => z.union([z.number().nonnegative(), z.enum(FEE_LEVELS)]).optional().default('medium')
+  .describe('Priority fee in SOL, or low, medium or high to price it from recent fees');
+// SOL value of a priority fee for approval thresholds; presets are not priced yet
+const feeValue = (priorityFee) => (typeof priorityFee === 'number' ? priorityFee : 0);
+
+// pump.fun runs on mainnet, so its read tools default there
+const pumpNetworkSchema = () => networkSchema().describe(`Cluster: ${CLUSTERS.join(', ')} or a configured RPC URL (default: mainnet-beta)`);
+
+// Pump.fun trade options shared by buy and sell
+const tradeSchema = () => ({
+  slippage: z.number().nonnegative().max(100).optional().default(10).describe('Slippage percentage'),
+  priorityFee: priorityFeeSchema(),
+  pool: z.enum(TRADE_POOLS).optional().default('auto').describe('Pool to trade on; auto picks the one holding liquidity'),
+  wallet: walletSchema().optional().describe('Keystore wallet; PUMPFUN_PRIVATE_KEY is used if omitted'),
+  simulate: simulateSchema()
+});
+
+// Off-chain metadata fields uploaded to the storage provider when no uri is given
+const metadataUploadSchema = () => ({
+  description: z.string().optional(),
+  imagePath: z.string().optional().describe('Image file under PUMPFUN_IMAGE_DIR'),
+  imageBase64: z.string().optional().describe('Image as base64 or a data: URI'),
+  imageUrl: z.string().url().optional().describe('https URL of the image'),
+  twitter: z.string().optional(),
+  telegram: z.string().optional(),
+  website: z.string().optional()
+});
+
+// Operator summaries name the cluster when it is not the default
+const onNetwork = (network) => (network ? ` on ${networkLabel(network)}` : '');
+
+/**
+ * Raised when tool arguments fail schema validation
+ */
+class ToolInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolInputError';
+  }
+}
+
+/**
+ * Raised when a tool name is not registered
+ */
+class UnknownToolError extends Error {
+  constructor(name) {
+    super(`Unknown tool: ${name}`);
+    this.name = 'UnknownToolError';
+  }
+}
+
+/**
+ * Tool definitions.
+ * - schema: zod shape used by the MCP server and for validation everywhere
+ * - rest: Express binding; path params, query and JSON body are merged into the arguments
+ * - approval: value compared with the tool's approval threshold (per key, such as the mint, when given), and the operator summary
+ * - privileged: signs with or manages keystore wallets; the REST API only serves it to callers with API_AUTH_TOKEN
+ */
+const TOOLS = [
+  {
+    name: 'getNetworkStatus',
+    description: 'Get Solana network status: version, slot, epoch and connection state',
+    schema: { network: networkSchema() },
+    rest: { method: 'get', path: '/api/network' },
+    handler: ({ network }) => solanaAPI.getNetworkStatus({ network })
+  },
+  {
+    name: 'getBalance',
+    description: 'Get the SOL balance of an address',
+    schema: { address: addressSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/balance/:address' },
+    handler: ({ address, network }) => solanaAPI.getBalance(address, { network })
+  },
+  {
+    name: 'getAccountInfo',
+    description: 'Get owner, lamports, executable flag and data size of an account',
+    schema: { address: addressSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/account/:address' },
+    handler: ({ address, network }) => solanaAPI.getAccountInfo(address, { network })
+  },
+  {
+    name: 'getTransactions',
+    description: 'Get transaction history for an address, with cursor pagination and filters',
+    schema: {
+      address: addressSchema(),
+      limit: z.number().int().positive().max(config.history.maxTransactions).optional().default(10),
+      before: signatureSchema().optional().describe('Return transactions older than this signature (nextCursor of the previous page)'),
+      until: signatureSchema().optional().describe('Stop at this signature'),
+      startTime: z.union([z.number(), z.string()]).optional().describe('Oldest block time, unix seconds or ISO 8601 date'),
+      endTime: z.union([z.number(), z.string()]).optional().describe('Newest block time, unix seconds or ISO 8601 date'),
+      status: z.enum(['all', 'success', 'failed']).optional().default('all'),
+      program: addressSchema().optional().describe('Only transactions involving this program id'),
+      network: networkSchema()
+    },
+    rest: { method: 'get', path: '/api/transactions/:address' },
+    handler: ({ address, ...options }) => solanaAPI.getTransactions(address, options)
+  },
+  {
+    name: 'getTransaction',
+    description: 'Get a decoded transaction: instructions, fee, balance changes and logs',
+    schema: { signature: signatureSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/transaction/:signature' },
+    handler: ({ signature, network }) => solanaAPI.getTransaction(signature, { network })
+  },
+  {
+    name: 'getTokenBalance',
+    description: 'Get the balance of one SPL token in a wallet',
+    schema: { address: addressSchema(), mintAddress: addressSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/balance/:address/:mintAddress' },
+    handler: ({ address, mintAddress, network }) => solanaAPI.getTokenBalance(address, mintAddress, { network })
+  },
+  {
+    name: 'getTokenAccounts',
+    description: 'List the SPL Token and Token-2022 accounts owned by a wallet',
+    schema: { address: addressSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/token-accounts/:address' },
+    handler: ({ address, network }) => solanaAPI.getTokenAccounts(address, { network })
+  },
+  {
+    name: 'getPortfolio',
+    description: 'Get SOL and all token holdings of a wallet with token metadata',
+    schema: {
+      address: addressSchema(),
+      hideZeroBalances: z.boolean().optional().default(false),
+      dustThreshold: z.number().nonnegative().optional().default(0).describe('Hide holdings below this UI amount'),
+      includeMetadata: z.boolean().optional().default(true),
+      network: networkSchema()
+    },
+    rest: { method: 'get', path: '/api/portfolio/:address' },
+    handler: ({ address, ...options }) => solanaAPI.getPortfolio(address, options)
+  },
+  {
+    name: 'createWallet',
+    description: 'Create a wallet in the encrypted keystore; returns its label and public key',
+    schema: {
+      label: z.string().min(1).max(64).optional().describe('Keystore label, generated if omitted')
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/wallet/create' },
+    handler: ({ label }) => solanaAPI.createWallet(label)
+  },
+  {
+    name: 'listWallets',
+    description: 'List keystore wallets (labels and public keys)',
+    schema: {},
+    privileged: true,
+    rest: { method: 'get', path: '/api/wallets' },
+    handler: () => solanaAPI.listWallets()
+  },
+  {
+    name: 'transferSol',
+    description: 'Transfer SOL from a keystore wallet',
+    schema: {
+      from: walletSchema(),
+      to: addressSchema(),
+      amount: z.number().positive(),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/transfer' },
+    approval: {
+      value: ({ amount }) => amount,
+      summary: ({ from, to, amount, network }) => `Transfer ${amount} SOL from ${from} to ${to}${onNetwork(network)}`
+    },
+    handler: ({ from, to, amount, ...options }) => solanaAPI.transferSol(from, to, amount, options)
+  },
+  {
+    name: 'getValidators',
+    description: 'List validators by activated stake with commission, latest epoch credits and delinquency',
+    schema: {
+      limit: z.number().int().positive().max(1000).optional().default(50),
+      includeDelinquent: z.boolean().optional().default(false),
+      network: networkSchema()
+    },
+    rest: { method: 'get', path: '/api/stake/validators' },
+    handler: (options) => solanaAPI.getValidators(options)
+  },
+  {
+    name: 'getStakeAccounts',
+    description: 'List the stake accounts a wallet controls with activation state, withdrawable SOL and rewards per epoch',
+    schema: {
+      address: addressSchema(),
+      rewardEpochs: z.number().int().min(0).max(10).optional().default(5).describe('Recent epochs to report rewards for; 0 skips rewards'),
+      network: networkSchema()
+    },
+    rest: { method: 'get', path: '/api/stake/accounts/:address' },
+    handler: ({ address, ...options }) => solanaAPI.getStakeAccounts(address, options)
+  },
+  {
+    name: 'createStakeAccount',
+    description: 'Stake SOL from a keystore wallet: create a stake account and delegate it to a validator vote account',
+    schema: {
+      wallet: walletSchema(),
+      voteAccount: addressSchema().describe('Vote account of the validator, from getValidators'),
+      amount: z.number().positive().describe('SOL to stake; the rent reserve is added on top'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/stake/create' },
+    approval: {
+      value: ({ amount }) => amount,
+      summary: ({ wallet, voteAccount, amount, network }) => `Stake ${amount} SOL from ${wallet} with validator ${voteAccount}${onNetwork(network)}`
+    },
+    handler: ({ wallet, voteAccount, amount, ...options }) => solanaAPI.createStakeAccount(wallet, voteAccount, amount, options)
+  },
+  {
+    name: 'deactivateStake',
+    description: 'Deactivate a stake account; its SOL can be withdrawn after the cooldown ends at the next epoch',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet that is the staker'),
+      stakeAccount: addressSchema(),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/stake/deactivate' },
+    handler: ({ wallet, stakeAccount, ...options }) => solanaAPI.deactivateStake(wallet, stakeAccount, options)
+  },
+  {
+    name: 'withdrawStake',
+    description: 'Withdraw SOL from a stake account; without amount the whole inactive balance is withdrawn and the account closed',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet that is the withdrawer'),
+      stakeAccount: addressSchema(),
+      amount: z.number().positive().optional().describe('SOL to withdraw (default: everything)'),
+      to: addressSchema().optional().describe('Recipient (default: the wallet)'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/stake/withdraw' },
+    approval: {
+      // Withdrawals back to the wallet need no approval; elsewhere they are transfers
+      value: ({ to, amount }) => (to ? amount ?? Infinity : 0),
+      summary: ({ wallet, stakeAccount, amount, to, network }) => (
+        `Withdraw ${amount ?? 'all'} SOL from stake account ${stakeAccount} of ${wallet} to ${to || wallet}${onNetwork(network)}`
+      )
+    },
+    handler: ({ wallet, stakeAccount, amount, ...options }) => solanaAPI.withdrawStake(wallet, stakeAccount, amount, options)
+  },
+  {
+    name: 'splitStake',
+    description: 'Split SOL off a stake account into a new stake account with the same delegation',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet that is the staker; pays the new account\'s rent'),
+      stakeAccount: addressSchema(),
+      amount: z.number().positive().describe('SOL to move to the new stake account'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/stake/split' },
+    handler: ({ wallet, stakeAccount, amount, ...options }) => solanaAPI.splitStake(wallet, stakeAccount, amount, options)
+  },
+  {
+    name: 'mergeStake',
+    description: 'Merge one stake account into another with the same authorities and validator',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet that is the staker of both accounts'),
+      stakeAccount: addressSchema().describe('Stake account that remains'),
+      sourceStakeAccount: addressSchema().describe('Stake account merged in and closed'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/stake/merge' },
+    handler: ({ wallet, stakeAccount, sourceStakeAccount, ...options }) => (
+      solanaAPI.mergeStake(wallet, stakeAccount, sourceStakeAccount, options)
+    )
+  },
+  {
+    name: 'transferToken',
+    description: 'Transfer SPL Token or Token-2022 tokens from a keystore wallet (amount in UI units)',
+    schema: {
+      from: walletSchema(),
+      to: addressSchema(),
+      mintAddress: addressSchema(),
+      amount: z.number().positive(),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/transfer/token' },
+    approval: {
+      value: ({ amount }) => amount,
+      // Token amounts are only comparable within a mint
+      key: ({ mintAddress }) => mintAddress,
+      summary: ({ from, to, mintAddress, amount, network }) => (
+        `Transfer ${amount} of token ${mintAddress} from ${from} to ${to}${onNetwork(network)}`
+      )
+    },
+    handler: ({ from, to, mintAddress, amount, ...options }) => (
+      solanaAPI.transferToken(from, to, mintAddress, amount, options)
+    )
+  },
+  {
+    name: 'createMint',
+    description: 'Create an SPL Token or Token-2022 mint paid for by a keystore wallet, with its decimals and authorities',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet paying for the mint'),
+      decimals: z.number().int().min(0).max(9).optional().default(9),
+      mintAuthority: addressSchema().optional().describe('Mint authority (default: the wallet)'),
+      freezeAuthority: addressSchema().optional().describe('Freeze authority (default: none)'),
+      tokenProgram: z.enum(Object.keys(TOKEN_PROGRAMS)).optional().default('token'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/create' },
+    handler: ({ wallet, ...options }) => solanaAPI.createMint(wallet, options)
+  },
+  {
+    name: 'mintTo',
+    description: 'Mint tokens (UI units) to a wallet; the keystore wallet must be the mint authority',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the mint authority'),
+      mintAddress: addressSchema(),
+      amount: z.number().positive(),
+      to: addressSchema().optional().describe('Recipient wallet (default: the authority wallet)'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/mint' },
+    approval: {
+      value: ({ amount }) => amount,
+      // Token amounts are only comparable within a mint
+      key: ({ mintAddress }) => mintAddress,
+      summary: ({ wallet, mintAddress, amount, to, network }) => (
+        `Mint ${amount} of token ${mintAddress} to ${to || wallet} with authority ${wallet}${onNetwork(network)}`
+      )
+    },
+    handler: ({ wallet, mintAddress, amount, ...options }) => solanaAPI.mintTo(wallet, mintAddress, amount, options)
+  },
+  {
+    name: 'burn',
+    description: 'Burn tokens (UI units) from a keystore wallet\'s token account',
+    schema: {
+      wallet: walletSchema(),
+      mintAddress: addressSchema(),
+      amount: z.number().positive(),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/burn' },
+    approval: {
+      value: ({ amount }) => amount,
+      // Token amounts are only comparable within a mint
+      key: ({ mintAddress }) => mintAddress,
+      summary: ({ wallet, mintAddress, amount, network }) => `Burn ${amount} of token ${mintAddress} from ${wallet}${onNetwork(network)}`
+    },
+    handler: ({ wallet, mintAddress, amount, ...options }) => solanaAPI.burn(wallet, mintAddress, amount, options)
+  },
+  {
+    name: 'setAuthority',
+    description: 'Change or permanently revoke an authority held by a keystore wallet: mint or freeze authority of a mint, owner or close authority of a token account',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the current authority'),
+      address: addressSchema().describe('Mint for mint/freeze; token account, or its owner wallet with mintAddress, for owner/close'),
+      authorityType: z.enum(Object.keys(AUTHORITY_TYPES)),
+      newAuthority: addressSchema().optional().describe('New authority; omit and set revoke to remove it'),
+      revoke: z.boolean().optional().default(false).describe('Remove the authority for good; cannot be undone'),
+      mintAddress: addressSchema().optional().describe('Mint of the token account, for owner/close given as a wallet'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/authority' },
+    handler: ({ wallet, address, authorityType, newAuthority, revoke, ...options }) => {
+      // Revoking is irreversible, so it has to be asked for explicitly
+      if (revoke === !!newAuthority) {
+        throw new ToolInputError('Provide either newAuthority or revoke: true');
+      }
+      return solanaAPI.setAuthority(wallet, address, authorityType, newAuthority || null, options);
+    }
+  },
+  {
+    name: 'freezeAccount',
+    description: 'Freeze a token account so it cannot send or receive; the keystore wallet must be the mint\'s freeze authority',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the freeze authority'),
+      mintAddress: addressSchema(),
+      account: addressSchema().describe('Token account, or the wallet owning it'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/freeze' },
+    handler: ({ wallet, mintAddress, account, ...options }) => solanaAPI.setTokenAccountFrozen(wallet, mintAddress, account, true, options)
+  },
+  {
+    name: 'thawAccount',
+    description: 'Thaw a frozen token account; the keystore wallet must be the mint\'s freeze authority',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the freeze authority'),
+      mintAddress: addressSchema(),
+      account: addressSchema().describe('Token account, or the wallet owning it'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/thaw' },
+    handler: ({ wallet, mintAddress, account, ...options }) => solanaAPI.setTokenAccountFrozen(wallet, mintAddress, account, false, options)
+  },
+  {
+    name: 'createTokenMetadata',
+    description: 'Create the Metaplex metadata (name, symbol, URI) of a mint whose mint authority is a keystore wallet; without uri the image and JSON are uploaded to the storage provider',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the mint authority; pays for the metadata account'),
+      mintAddress: addressSchema(),
+      name: z.string().min(1),
+      symbol: z.string().min(1),
+      uri: z.string().url().optional().describe('Existing metadata JSON URI; skips the upload'),
+      ...metadataUploadSchema(),
+      sellerFeeBasisPoints: z.number().int().min(0).max(10000).optional().default(0),
+      updateAuthority: addressSchema().optional().describe('Update authority (default: the wallet)'),
+      isMutable: z.boolean().optional().default(true),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/token/metadata' },
+    handler: ({ wallet, mintAddress, simulate, priorityLevel, network, ...metadata }) => (
+      solanaAPI.createTokenMetadata(wallet, mintAddress, metadata, { simulate, priorityLevel, network })
+    )
+  },
+  {
+    name: 'updateTokenMetadata',
+    description: 'Update the Metaplex metadata of a mint whose update authority is a keystore wallet; omitted fields are kept, a new image or description re-uploads the JSON',
+    schema: {
+      wallet: walletSchema().describe('Keystore wallet holding the update authority'),
+      mintAddress: addressSchema(),
+      name: z.string().min(1).optional(),
+      symbol: z.string().min(1).optional(),
+      uri: z.string().url().optional(),
+      ...metadataUploadSchema(),
+      sellerFeeBasisPoints: z.number().int().min(0).max(10000).optional(),
+      newUpdateAuthority: addressSchema().optional(),
+      isMutable: z.literal(false).optional().describe('false locks the metadata for good'),
+      priorityLevel: priorityLevelSchema(),
+      simulate: simulateSchema(),
+      network: networkSchema()
+    },
+    privileged: true,
+    rest: { method: 'put', path: '/api/token/metadata/:mintAddress' },
+    handler: ({ wallet, mintAddress, simulate, priorityLevel, network, ...changes }) => (
+      solanaAPI.updateTokenMetadata(wallet, mintAddress, changes, { simulate, priorityLevel, network })
+    )
+  },
+  {
+    name: 'getTokenMetadata',
+    description: 'Get the on-chain metadata of any mint (Metaplex or Token-2022) and the off-chain JSON its URI points at',
+    schema: { mintAddress: addressSchema(), network: networkSchema() },
+    rest: { method: 'get', path: '/api/token/metadata/:mintAddress' },
+    handler: ({ mintAddress, network }) => solanaAPI.getTokenMetadata(mintAddress, { network })
+  },
+  {
+    name: 'createPumpFunToken',
+    description: 'Create a pump.fun token and make the initial buy (mainnet only)',
+    schema: {
+      name: z.string().min(1),
+      symbol: z.string().min(1),
+      description: z.string().optional().default(''),
+      imagePath: z.string().optional().describe('Image file under PUMPFUN_IMAGE_DIR'),
+      imageBase64: z.string().optional().describe('Image as base64 or a data: URI'),
+      imageUrl: z.string().url().optional().describe('https URL of the image'),
+      twitter: z.string().optional(),
+      telegram: z.string().optional(),
+      website: z.string().optional(),
+      amount: z.string().optional().default('0.1'),
+      slippage: z.string().optional().default('10'),
+      priorityFee: z.string().optional().default('medium').describe('Priority fee in SOL, or low, medium or high to price it from recent fees'),
+      wallet: walletSchema().optional().describe('Keystore wallet; PUMPFUN_PRIVATE_KEY is used if omitted'),
+      commitment: z.enum(['confirmed', 'finalized']).optional().default('confirmed').describe('Commitment to wait for before reporting the launch'),
+      simulate: simulateSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/pumpfun/create' },
+    approval: {
+      value: ({ amount, priorityFee }) => (parseFloat(amount) || 0) + (parseFloat(priorityFee) || 0),
+      summary: ({ name, symbol, amount, priorityFee, wallet }) => (
+        `Launch pump.fun token ${name} (${symbol}) with a ${parseFloat(amount) || 0} SOL dev buy (priority fee ${priorityFee}) from ${wallet || 'the PumpFun wallet'}`
+      )
+    },
+    handler: async (params) => {
+      const result = await createPumpFunToken(params);
+      // A launch still pending when we stopped waiting is reported, not raised
+      if (result.success === false && result.status !== 'submitted') {
+        throw new Error(result.error);
+      }
+      return result;
+    }
+  },
+  {
+    name: 'getPriorityFeeEstimate',
+    description: 'Estimate compute unit prices (low, medium, high) from recent prioritization fees, optionally for the accounts a transaction writes',
+    schema: {
+      accounts: z.array(addressSchema()).max(128).optional().default([]).describe('Writable accounts; fees are local to the accounts a transaction locks'),
+      network: networkSchema()
+    },
+    rest: { method: 'get', path: '/api/fees/priority' },
+    handler: ({ accounts, network }) => solanaAPI.getPriorityFeeEstimate(accounts, { network })
+  },
+  {
+    name: 'getPumpFunTokenInfo',
+    description: 'Get the bonding curve state of a pump.fun token: reserves, price, market cap in SOL, completion and whether it has graduated',
+    schema: { mint: addressSchema(), network: pumpNetworkSchema() },
+    rest: { method: 'get', path: '/api/pumpfun/token/:mint' },
+    handler: ({ mint, network }) => solanaAPI.getPumpFunTokenInfo(mint, { network })
+  },
+  {
+    name: 'quotePumpFunTrade',
+    description: 'Quote a pump.fun buy or sell against the bonding curve: expected output, fee and price impact',
+    schema: {
+      mint: addressSchema(),
+      side: z.enum(['buy', 'sell']),
+      amount: z.number().positive().describe('SOL or token amount'),
+      denominatedInSol: z.boolean().optional().describe('Whether amount is in SOL (default: true for buys, false for sells)'),
+      network: pumpNetworkSchema()
+    },
+    rest: { method: 'get', path: '/api/pumpfun/quote/:mint' },
+    handler: ({ mint, network, ...trade }) => solanaAPI.quotePumpFunTrade(mint, trade, { network })
+  },
+  {
+    name: 'buyPumpFunToken',
+    description: 'Buy a pump.fun token with SOL (mainnet only); returns the signature and resulting SOL and token balances',
+    schema: {
+      mint: addressSchema(),
+      amount: z.number().positive().describe('SOL to spend, or tokens to buy when denominatedInSol is false'),
+      denominatedInSol: z.boolean().optional().default(true),
+      ...tradeSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/pumpfun/buy' },
+    approval: {
+      // The SOL cost of a token-denominated buy is only known at signing time
+      value: ({ amount, priorityFee, denominatedInSol }) => (denominatedInSol ? amount + feeValue(priorityFee) : Infinity),
+      summary: ({ mint, amount, denominatedInSol, priorityFee, wallet }) => (
+        `Buy ${denominatedInSol ? `${amount} SOL of` : `${amount} tokens of`} pump.fun token ${mint} (priority fee ${priorityFee}${typeof priorityFee === 'number' ? ' SOL' : ''}) from ${wallet || 'the PumpFun wallet'}`
+      )
+    },
+    handler: (params) => buyPumpFunToken(params)
+  },
+  {
+    name: 'sellPumpFunToken',
+    description: 'Sell a pump.fun token for SOL (mainnet only); amount in tokens, SOL, or a percentage of the balance like "100%"',
+    schema: {
+      mint: addressSchema(),
+      amount: z.union([
+        z.number().positive(),
+        z.string().regex(/^\d+(\.\d+)?%$/, 'Expected a percentage like "50%"')
+      ]).describe('Tokens to sell, SOL to receive when denominatedInSol is true, or a percentage of the balance like "100%"'),
+      denominatedInSol: z.boolean().optional().default(false),
+      ...tradeSchema()
+    },
+    privileged: true,
+    rest: { method: 'post', path: '/api/pumpfun/sell' },
+    handler: (params) => sellPumpFunToken(params)
+  },
+  {
+    name: 'getPendingOperation',
+    description: 'Get an operation waiting for operator approval, or its outcome',
+    schema: { id: z.string().uuid() },
+    privileged: true,
+    rest: { method: 'get', path: '/api/operations/:id' },
+    handler: async ({ id }) => {
+      const operation = await approvalQueue.get(id);
+      if (!operation) {
+        throw new Error(`Pending operation ${id} not found`);
+      }
+      return operation;
+    }
+  }
+];
+
+const registry = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+// Approved operations run the tool handler directly
+for (const tool of TOOLS.filter(tool => tool.approval)) {
+  approvalQueue.registerExecutor(tool.name, params => tool.handler(params));
+}
+
+/**
+ * List all registered tools
+ * @returns {Array<Object>} Tool definitions
+ */
+function listTools() {
+  return TOOLS;
+}
+
+/**
+ * Get a tool definition by name
+ */
+function getTool(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Validate arguments and run a tool.
+ * Requests above the tool's approval threshold are parked in the approval
+ * queue and a pending result is returned instead.
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Promise<Object>} Tool result
+ */
+async function runTool(name, args = {}) {
+  const tool = registry.get(name);
+  if (!tool) {
+    throw new UnknownToolError(name);
+  }
+
+  const parsed = z.object(tool.schema).safeParse(args);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+    throw new ToolInputError(`Invalid arguments for ${name}: ${issues.join('; ')}`);
+  }
+  const params = parsed.data;
+
+  if (tool.approval && !params.simulate &&
+      approvalQueue.requiresApproval(name, tool.approval.value(params), tool.approval.key?.(params))) {
+    const operation = await approvalQueue.enqueue({
+      tool: name,
+      params,
+      summary: tool.approval.summary(params)
+    });
+    return {
+      pending: true,
+      pendingId: operation.id,
+      status: operation.status,
+      summary: operation.summary,
+      expiresAt: operation.expiresAt,
+      message: 'Operation requires operator approval. Poll getPendingOperation with pendingId for the result.'
+    };
+  }
+
+  return tool.handler(params);
+}
+
+export { listTools, getTool, runTool, ToolInputError, UnknownToolError };
@@ -0,0 +1,273 @@
+/**
+ * Transaction decoding helpers
+ * Turns a jsonParsed transaction from getParsedTransaction into a
+ * human-readable summary: decoded instructions, fee, balance changes and logs.
+ */
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Anchor instruction discriminators of the pump.fun bonding curve program
+const PUMP_FUN_DISCRIMINATORS = {
+  create: Buffer.from([24, 30, 200, 40, 5, 28, 7, 119]),
+  buy: Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]),
+  sell: Buffer.from([51, 230, 133, 164, 1, 127, 131, 173])
+};
+
+/**
+ * Read a borsh string (u32 length prefix) from a buffer
+ */
+function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const start = offset + 4;
+  return { value: data.subarray(start, start + length).toString('utf-8'), next: start + length };
+}
+
+/**
+ * Format lamports as a SOL string
+ */
+function formatSol(lamports) {
+  const sol = (Number(lamports) / LAMPORTS_PER_SOL).toFixed(9).replace(/\.?0+$/, '');
+  return `${sol} SOL`;
+}
+
+/**
+ * Decode a Compute Budget program instruction
+ */
+function decodeComputeBudget(data) {
+  switch (data[0]) {
+    case 1: {
+      const bytes = data.readUInt32LE(1);
+      return { type: 'requestHeapFrame', info: { bytes }, description: `Request heap frame of ${bytes} bytes` };
+    }
+    case 2: {
+      const units = data.readUInt32LE(1);
+      return { type: 'setComputeUnitLimit', info: { units }, description: `Set compute unit limit to ${units}` };
+    }
+    case 3: {
+      const microLamports = data.readBigUInt64LE(1).toString();
+      return {
+        type: 'setComputeUnitPrice',
+        info: { microLamports },
+        description: `Set compute unit price to ${microLamports} micro-lamports`
+      };
+    }
+    case 4: {
+      const bytes = data.readUInt32LE(1);
+      return {
+        type: 'setLoadedAccountsDataSizeLimit',
+        info: { bytes },
+        description: `Limit loaded account data to ${bytes} bytes`
+      };
+    }
+    default:
+      return { type: 'unknown', info: {}, description: 'Unknown compute budget instruction' };
+  }
+}
+
+/**
+ * Decode a pump.fun bonding curve instruction (create, buy, sell)
+ */
+function decodePumpFun(data, accounts) {
+  const discriminator = data.subarray(0, 8);
+
+  if (discriminator.equals(PUMP_FUN_DISCRIMINATORS.create)) {
+    const name = readBorshString(data, 8);
+    const symbol = readBorshString(data, name.next);
+    const uri = readBorshString(data, symbol.next);
+    const info = {
+      name: name.value,
+      symbol: symbol.value,
+      uri: uri.value,
+      mint: accounts[0],
+      bondingCurve: accounts[2],
+      user: accounts[7]
+    };
+    return { type: 'create', info, description: `pump.fun create token ${info.name} (${info.symbol}), mint ${info.mint}` };
+  }
+
+  if (discriminator.equals(PUMP_FUN_DISCRIMINATORS.buy)) {
+    const info = {
+      tokenAmount: data.readBigUInt64LE(8).toString(),
+      maxSolCost: data.readBigUInt64LE(16).toString(),
+      mint: accounts[2],
+      bondingCurve: accounts[3],
+      user: accounts[6]
+    };
+    return {
+      type: 'buy',
+      info,
+      description: `pump.fun buy ${info.tokenAmount} base units of ${info.mint} for at most ${formatSol(info.maxSolCost)}`
+    };
+  }
+
+  if (discriminator.equals(PUMP_FUN_DISCRIMINATORS.sell)) {
+    const info = {
+      tokenAmount: data.readBigUInt64LE(8).toString(),
+      minSolOutput: data.readBigUInt64LE(16).toString(),
+      mint: accounts[2],
+      bondingCurve: accounts[3],
+      user: accounts[6]
+    };
+    return {
+      type: 'sell',
+      info,
+      description: `pump.fun sell ${info.tokenAmount} base units of ${info.mint} for at least ${formatSol(info.minSolOutput)}`
+    };
+  }
+
+  return { type: 'unknown', info: {}, description: 'Unknown pump.fun instruction' };
+}
+
+/**
+ * Describe an instruction the RPC node already parsed (system, SPL token, ATA, memo)
+ */
+function describeParsed(program, parsed) {
+  // The memo program is parsed into a plain string
+  if (typeof parsed === 'string') {
+    return { type: 'memo', info: { memo: parsed }, description: `Memo: ${parsed}` };
+  }
+
+  const { type, info } = parsed;
+  let description = `${program}: ${type}`;
+
+  if (program === 'system' && (type === 'transfer' || type === 'transferWithSeed')) {
+    description = `Transfer ${formatSol(info.lamports)} from ${info.source} to ${info.destination}`;
+  } else if (program === 'system' && type === 'createAccount') {
+    description = `Create account ${info.newAccount} funded with ${formatSol(info.lamports)} owned by ${info.owner}`;
+  } else if (program.startsWith('spl-token') && type === 'transferChecked') {
+    description = `Transfer ${info.tokenAmount.uiAmountString} tokens of ${info.mint} from ${info.source} to ${info.destination}`;
+  } else if (program.startsWith('spl-token') && type === 'transfer') {
+    description = `Transfer ${info.amount} base units from token account ${info.source} to ${info.destination}`;
+  } else if (program === 'spl-associated-token-account' && (type === 'create' || type === 'createIdempotent')) {
+    description = `Create associated token account ${info.account} for ${info.wallet} (mint ${info.mint})`;
+  }
+
+  return { type, info, description };
+}
+
+/**
+ * Decode a single instruction from a jsonParsed transaction
+ * @param {Object} instruction - ParsedInstruction or PartiallyDecodedInstruction
+ * @returns {Object} Program, type, decoded info and a human-readable description
+ */
+function decodeInstruction(instruction) {
+  const programId = instruction.programId.toString();
+
+  if (instruction.parsed !== undefined) {
+    return { programId, program: instruction.program, ...describeParsed(instruction.program, instruction.parsed) };
+  }
+
+  const data = Buffer.from(bs58.decode(instruction.data || ''));
+  const accounts = (instruction.accounts || []).map(account => account.toString());
+
+  try {
+    if (programId === COMPUTE_BUDGET_PROGRAM_ID) {
+      return { programId, program: 'compute-budget', ...decodeComputeBudget(data) };
+    }
+
+    if (programId === PUMP_FUN_PROGRAM_ID) {
+      return { programId, program: 'pump-fun', ...decodePumpFun(data, accounts) };
+    }
+  } catch (error) {
+    console.error(`Could not decode ${programId} instruction: ${error.message}`);
+  }
+
+  return {
+    programId,
+    program: 'unknown',
+    type: 'unknown',
+    info: { accounts, data: instruction.data },
+    description: `Instruction for program ${programId}`
+  };
+}
+
+/**
+ * Build a readable summary of a parsed transaction
+ * @param {string} signature - Transaction signature
+ * @param {Object} tx - Result of connection.getParsedTransaction
+ * @returns {Object} Decoded transaction details
+ */
+function describeTransaction(signature, tx) {
+  const { meta, transaction } = tx;
+  const accountKeys = transaction.message.accountKeys.map(key => key.pubkey.toString());
+
+  // Group inner instructions under the top-level instruction that invoked them
+  const innerByIndex = {};
+  for (const inner of meta?.innerInstructions || []) {
+    innerByIndex[inner.index] = inner.instructions.map(decodeInstruction);
+  }
+
+  const instructions = transaction.message.instructions.map((instruction, index) => ({
+    index,
+    ...decodeInstruction(instruction),
+    innerInstructions: innerByIndex[index] || []
+  }));
+
+  const balanceChanges = [];
+  if (meta) {
+    accountKeys.forEach((account, index) => {
+      const preLamports = meta.preBalances[index];
+      const postLamports = meta.postBalances[index];
+      if (preLamports !== postLamports) {
+        balanceChanges.push({
+          account,
+          preLamports,
+          postLamports,
+          deltaLamports: postLamports - preLamports,
+          deltaSol: (postLamports - preLamports) / LAMPORTS_PER_SOL
+        });
+      }
+    });
+  }
+
+  // Pair pre/post token balances by account index
+  const tokenBalances = {};
+  for (const balance of meta?.preTokenBalances || []) {
+    tokenBalances[balance.accountIndex] = { pre: balance };
+  }
+  for (const balance of meta?.postTokenBalances || []) {
+    tokenBalances[balance.accountIndex] = { ...tokenBalances[balance.accountIndex], post: balance };
+  }
+
+  const tokenBalanceChanges = Object.entries(tokenBalances)
+    .map(([accountIndex, { pre, post }]) => {
+      const reference = post || pre;
+      const preAmount = BigInt(pre ? pre.uiTokenAmount.amount : '0');
+      const postAmount = BigInt(post ? post.uiTokenAmount.amount : '0');
+      const decimals = reference.uiTokenAmount.decimals;
+      return {
+        account: accountKeys[accountIndex],
+        owner: reference.owner || null,
+        mint: reference.mint,
+        decimals,
+        preAmount: preAmount.toString(),
+        postAmount: postAmount.toString(),
+        deltaAmount: (postAmount - preAmount).toString(),
+        deltaUiAmount: Number(postAmount - preAmount) / 10 ** decimals
+      };
+    })
+    .filter(change => change.deltaAmount !== '0');
+
+  return {
+    signature,
+    slot: tx.slot,
+    blockTime: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+    version: tx.version ?? 'legacy',
+    status: meta?.err ? 'failed' : 'success',
+    error: meta?.err || null,
+    fee: meta ? meta.fee : null,
+    feeSol: meta ? meta.fee / LAMPORTS_PER_SOL : null,
+    computeUnitsConsumed: meta?.computeUnitsConsumed ?? null,
+    signers: transaction.message.accountKeys.filter(key => key.signer).map(key => key.pubkey.toString()),
+    instructions,
+    balanceChanges,
+    tokenBalanceChanges,
+    logs: meta?.logMessages || []
+  };
+}
+
+export { decodeInstruction, describeTransaction };